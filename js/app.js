@@ -6,523 +6,2114 @@
  *
  * REV 2.4 CHECKPOINT A: Sequencing data structures present (displayedSet, unused pool rebuild)
  * REV 2.4 CHECKPOINT B: replaceOnePanel() implemented and uses dataset.metaId
- * REV 2.4 CHECKPOINT C: preloadAllTextures() creates textureCache entries for all assets
- * REV 2.4 CHECKPOINT D: startShow() wires preload -> build -> setInterval reliably
+ * REV 2.4 CHECKPOINT C: textures are created on demand by the texture manager (js/textures.js);
+ *   only displayed + upcoming images stay resident
+ * REV 2.4 CHECKPOINT D: the Start handler wires preload -> build -> panel timer; the timers run on the
+ *   scene-clock scheduler (js/scheduler.js), so every pause holds them
+ * The sequencing, layout and import rules behind these live in their own modules and are covered by
+ * the tests in test/ (npm test).
  */
 
-(function(){
-  // DOM refs
-  const filePicker = document.getElementById('filePicker');
-  const startBtn = document.getElementById('startBtn');
-  const imageListDiv = document.getElementById('imageList');
-  const statusEl = document.getElementById('status');
-  const debugEl = document.getElementById('debug');
-  const aAssets = document.getElementById('aAssets');
-  const panelContainer = document.getElementById('panelContainer');
-  const scene = document.getElementById('vrScene');
-  const cameraEl = document.getElementById('camera');
-
-  // Configuration
-  const VISIBLE_PANELS = 8;
-  const DEFAULT_PANEL_HEIGHTS = { small: 0.45, medium: 0.65, large: 1.0 };
-  const FIXED_RADIUS = 1.8;
-  const BAND_ELEVATION_DEG = 25;       // +/-25deg => middle 50%
-  const MIN_ANGULAR_SEPARATION_DEG = 28;
-  const MAX_PANEL_WIDTH = 2.4;
-
-  // Texture tuning
-  const DESIRED_ANISOTROPY = 6; // moderate
-  // Curvature
-  const PANEL_CURVATURE = 0.6;
-
-  // State
-  let metaList = []; // { id, dataUrl, width, height }
-  let nextAssetId = 0;
-  let panelEntities = [];   // visible panel elements (length === VISIBLE_PANELS)
-  let replaceTimer = null;
-  let usedYaws = [];
-
-  // Sequencing pools (REV 2.4 CHECKPOINT A)
-  // displayedSet: set of ids currently shown on panels
-  let displayedSet = new Set();
-
-  // Texture cache: maps meta.id -> THREE.Texture (preloaded) (REV 2.4 CHECKPOINT C)
-  const textureCache = {};
-
-  // Helpers
-  function log(msg){
-    console.log(msg);
-    debugEl.textContent = String(msg).slice(0,800);
-    try {
-      const vrDebugText = document.getElementById('vrDebugText');
-      const vrDebug = document.getElementById('vrDebug');
-      if(vrDebugText && vrDebug){
-        vrDebugText.setAttribute('value', String(msg).slice(0,700));
-        vrDebug.setAttribute('visible', true);
-      }
-    } catch(e){}
-  }
-  function clearLog(){ debugEl.textContent = ''; try { document.getElementById('vrDebug').setAttribute('visible', false); } catch(e){} }
-  function randRange(a,b){ return a + Math.random() * (b - a); }
-
-  // File -> DataURL
-  function fileToDataURL(file){
-    return new Promise((resolve,reject)=>{
-      const reader = new FileReader();
-      reader.onerror = ()=> reject(new Error('FileReader error'));
-      reader.onload = ()=> resolve(reader.result);
-      reader.readAsDataURL(file);
-    });
+import { isPanelLocked } from './interaction.js';
+import * as library from './library.js';
+import * as playlists from './playlists.js';
+import * as layout from './layout.js';
+import * as sequencerLib from './sequencer.js';
+import * as panorama from './panorama.js';
+import * as videoLib from './video.js';
+import * as texturesLib from './textures.js';
+import * as audioLib from './audio.js';
+import * as exifLib from './exif.js';
+import * as captionsLib from './captions.js';
+import * as viewModes from './viewmodes.js';
+import * as galleryLib from './gallery.js';
+import * as hostedLib from './hosted.js';
+import * as randomLib from './random.js';
+import * as syncLib from './sync.js';
+import * as envLib from './environments.js';
+import * as importLib from './importer.js';
+import * as comfortLib from './comfort.js';
+// components and systems the scene markup uses
+import './transitions.js';
+import './menu.js';
+import './scheduler.js';
+
+// DOM refs
+const filePicker = document.getElementById('filePicker');
+const folderPicker = document.getElementById('folderPicker');
+const folderBtn = document.getElementById('folderBtn');
+const importProgressEl = document.getElementById('importProgress');
+const importReportEl = document.getElementById('importReport');
+const startBtn = document.getElementById('startBtn');
+const imageListDiv = document.getElementById('imageList');
+const statusEl = document.getElementById('status');
+const debugEl = document.getElementById('debug');
+const aAssets = document.getElementById('aAssets');
+const panelContainer = document.getElementById('panelContainer');
+const scene = document.getElementById('vrScene');
+const cameraEl = document.getElementById('camera');
+const libraryUsageEl = document.getElementById('libraryUsage');
+const clearLibraryBtn = document.getElementById('clearLibraryBtn');
+const panelSizeSelect = document.getElementById('panelSize');
+const replaceIntervalInput = document.getElementById('replaceInterval');
+const layoutSelect = document.getElementById('layoutMode');
+const visiblePanelsInput = document.getElementById('visiblePanels');
+const fitModeSelect = document.getElementById('fitMode');
+const sequenceModeSelect = document.getElementById('sequenceMode');
+const skyIntervalInput = document.getElementById('skyInterval');
+const skyBackdrop = document.getElementById('skyBackdrop');
+const videoMaxInput = document.getElementById('videoMaxSec');
+const videoSoundInput = document.getElementById('videoSound');
+const maxTextureSelect = document.getElementById('maxTextureSize');
+const transitionSelect = document.getElementById('transitionEffect');
+const transitionSecInput = document.getElementById('transitionSec');
+const easingSelect = document.getElementById('transitionEasing');
+const musicListEl = document.getElementById('musicList');
+const musicCrossfadeInput = document.getElementById('musicCrossfade');
+const beatSyncInput = document.getElementById('beatSync');
+const narrationPicker = document.getElementById('narrationPicker');
+const captionModeSelect = document.getElementById('captionMode');
+const environmentSelect = document.getElementById('environmentMode');
+const panelFrameSelect = document.getElementById('panelFrame');
+const panelShadowsInput = document.getElementById('panelShadows');
+const environmentEl = document.getElementById('environment');
+const seatedModeInput = document.getElementById('seatedMode');
+const seatedArcSelect = document.getElementById('seatedArc');
+const swapIndicatorSelect = document.getElementById('swapIndicator');
+const reducedMotionInput = document.getElementById('reducedMotion');
+const viewDistanceInput = document.getElementById('viewDistance');
+const viewDistanceOut = document.getElementById('viewDistanceValue');
+const highContrastInput = document.getElementById('highContrast');
+const textScaleSelect = document.getElementById('textScale');
+const vrDebugEl = document.getElementById('vrDebug');
+const vrMenuEl = document.getElementById('vrMenu');
+const viewModeSelect = document.getElementById('viewMode');
+const galleryWallEl = document.getElementById('galleryWall');
+const cameraRig = document.getElementById('cameraRig');
+const gazeCursor = document.getElementById('gazeCursor');
+const shareLinkBtn = document.getElementById('shareLinkBtn');
+const hostedInfoEl = document.getElementById('hostedInfo');
+const syncBar = document.getElementById('syncBar');
+const syncRoleSelect = document.getElementById('syncRole');
+const syncRelayInput = document.getElementById('syncRelay');
+const syncRoomInput = document.getElementById('syncRoom');
+const syncStatusEl = document.getElementById('syncStatus');
+const playlistSelect = document.getElementById('playlistSelect');
+const newPlaylistBtn = document.getElementById('newPlaylistBtn');
+const renamePlaylistBtn = document.getElementById('renamePlaylistBtn');
+const deletePlaylistBtn = document.getElementById('deletePlaylistBtn');
+const exportPlaylistBtn = document.getElementById('exportPlaylistBtn');
+const exportBundleBtn = document.getElementById('exportBundleBtn');
+const importPlaylistInput = document.getElementById('importPlaylistInput');
+
+// Configuration
+const VISIBLE_PANELS = 8;
+const DEFAULT_PANEL_HEIGHTS = { small: 0.45, medium: 0.65, large: 1.0 };
+const BAND_ELEVATION_DEG = 25;       // +/-25deg => middle 50%
+const MIN_ANGULAR_SEPARATION_DEG = 28;
+const MAX_PANEL_WIDTH = 2.4;
+const MIN_PANEL_WIDTH = 0.3;
+const MAX_VISIBLE_PANELS = 24;
+const ACTIVE_PLAYLIST_KEY = 'vrslideshow.activePlaylist';
+const MAX_TEXTURE_KEY = 'vrslideshow.maxTextureSize';
+const SKY_MAX_DIMENSION = 4096;      // 360° backgrounds wrap the whole view and need the pixels
+const PREFETCH_COUNT = 3;            // upcoming images kept uploaded ahead of their swap
+const IMPORT_CONCURRENCY = 3;        // files decoded at once while adding (two workers share them)
+const INTERVAL_STEPS = [2, 3, 4, 5, 6, 8, 10, 15, 20, 30, 45, 60]; // in-VR menu -/+ (seconds)
+const SWAP_HISTORY_MAX = 50;
+const FOLLOWER_LOCKED_ACTIONS = ['prev', 'next', 'pause', 'interval', 'panel-size']; // the presenter's to change
+
+// Texture tuning
+const DESIRED_ANISOTROPY = 6; // moderate
+// Curvature
+const PANEL_CURVATURE = 0.6;
+
+// State
+let metaList = []; // { id, dataUrl, width, height, name, type, lastModified, favourite, equirect, useAsSky, narrationUrl, caption, takenAt, camera, gps, dwell, hash } (+ kind: 'video', url, duration for clips)
+let musicTracks = []; // { id, url, name, type, duration, bpm, offset } in play order
+let nextMusicId = 0;
+let nextAssetId = 0;
+let visiblePanels = VISIBLE_PANELS; // runtime setting (1..MAX_VISIBLE_PANELS), saved per playlist
+let savedPlaylists = [];
+let activePlaylist = null;
+let panelEntities = [];   // visible panel elements (length === visiblePanels)
+let skySequencer = null;
+let currentLayout = 'scatter';
+let currentFit = 'contain';
+let currentSequenceMode = 'shuffle';
+let currentTransition = { effect: 'crossfade', duration: 1200, easing: 'easeInOut' };
+let currentCaptions = 'caption';
+let currentEnvironment = 'black';
+let currentFrame = 'none';
+let currentShadows = false;
+let currentViewMode = 'vr';
+let comfort = comfortLib.loadComfort(); // this device's comfort options (js/comfort.js), not the show's
+let panelEyeHeight = 1.6;  // panels are laid out around this height; recentreView() moves it to the head
+const linkParams = hostedLib.parseQuery(window.location.search); // ?show= / settings from a share link
+let hostedShow = null;    // { url, name } when the page was opened on a hosted show
+let sequencer = null;
+let showSeed = 0;          // seeds the layout, the shuffle and which panel changes next (js/random.js)
+let showRandom = Math.random;
+let syncRole = 'off';      // 'presenter' | 'follower' while a synced show runs (js/sync.js)
+let syncClient = null;
+let lastShowMsg = null;    // presenter: { seed, settings, slots } the current panels were built from
+let presenterOnline = false;
+const imageDecoder = importLib.createImageDecoder({ workers: 2 });
+let importQueue = Promise.resolve();
+const videoCtl = videoLib.createVideoController({ maxHoldSec: 30, sound: true, scheduler });
+const soundtrack = audioLib.createSoundtrack({ onTrackChange: onMusicTrackChange });
+let showRunning = false;
+let paused = false;        // paused from the menu / keyboard (the scheduler's 'user' reason)
+let dwellOverride = null; // seconds the image that last landed asked to stay (its "hold" setting)
+let swapHistory = [];     // [{ ent, metaId }] what each swap replaced, newest last ("Previous" in the menu)
+let lastCaptionMode = 'caption'; // what the menu's captions toggle turns back on
+// 2D wall for the "gallery" viewing mode (panelEntities are its tiles then)
+const gallery = galleryLib.createGalleryWall(galleryWallEl, { onAction: action => showAction(action) });
+let currentPanelHeight = DEFAULT_PANEL_HEIGHTS.medium;
+
+// Sequencing pools (REV 2.4 CHECKPOINT A)
+// displayedSet: set of ids currently shown on panels
+let displayedSet = new Set();
+
+// Texture manager: meta.id -> THREE.Texture, created on demand, LRU-evicted past the budget (REV 2.4 CHECKPOINT C)
+const textures = texturesLib.createTextureManager({
+  budget: VISIBLE_PANELS + PREFETCH_COUNT + 2,
+  create: createTextureForAsset,
+  upload: tex => { const r = scene.renderer; if(r && r.initTexture) r.initTexture(tex); }
+});
+let currentSkyId = null;
+
+// Helpers
+function log(msg){
+  console.log(msg);
+  debugEl.textContent = String(msg).slice(0,800);
+  try {
+    const vrDebugText = document.getElementById('vrDebugText');
+    const vrDebug = document.getElementById('vrDebug');
+    if(vrDebugText && vrDebug){
+      vrDebugText.setAttribute('value', String(msg).slice(0,700));
+      vrDebug.setAttribute('visible', true);
+    }
+  } catch(e){}
+}
+function clearLog(){ debugEl.textContent = ''; try { document.getElementById('vrDebug').setAttribute('visible', false); } catch(e){} }
+
+
+// The images the show runs on: the active playlist in its order, else the whole library
+function metaById(id){ return metaList.find(m => m.id === id) || null; }
+// synced headsets have their own ids for the same files
+function metaByName(name){ return metaList.find(m => m.name === name) || null; }
+function showList(){
+  if(!activePlaylist) return metaList;
+  return activePlaylist.itemIds.map(metaById).filter(Boolean);
+}
+// 360° photos marked "use as background" go to the sky instead of onto panels
+function panelList(){ return showList().filter(m => !m.useAsSky); }
+function skyList(){ return showList().filter(m => m.useAsSky); }
+function updateSelectionStatus(suffix){
+  const count = showList().length;
+  statusEl.textContent = activePlaylist
+    ? `${count} images in playlist "${activePlaylist.name}".`
+    : (metaList.length ? `${metaList.length} images selected${suffix || ''}.` : 'No images selected yet.');
+  startBtn.disabled = count < 1;
+}
+
+// UI thumbnails
+function addThumb(meta, idx){
+  const label = meta.name || meta.id;
+  const wrapper = document.createElement('div');
+  wrapper.className = 'thumbWrapper';
+  wrapper.setAttribute('role', 'listitem');
+  wrapper.dataset.idx = idx;
+  const img = document.createElement('img');
+  img.loading = 'lazy';
+  img.src = meta.dataUrl;
+  img.alt = meta.caption || label;
+  img.title = [meta.name || meta.id, captionsLib.captionText(Object.assign({}, meta, { caption: '' }), 'details')].filter(Boolean).join('\n');
+  wrapper.appendChild(img);
+  const caption = document.createElement('input');
+  caption.type = 'text';
+  caption.className = 'captionInput';
+  caption.placeholder = 'Caption';
+  caption.maxLength = 140;
+  caption.value = meta.caption || '';
+  caption.setAttribute('aria-label', `Caption for ${label}`);
+  caption.onchange = ()=> setCaption(meta, caption.value);
+  wrapper.appendChild(caption);
+  const dwell = document.createElement('input');
+  dwell.type = 'number';
+  dwell.className = 'dwellInput';
+  dwell.min = 1;
+  dwell.max = playlists.MAX_DWELL_SEC;
+  dwell.placeholder = 'Hold (s)';
+  dwell.title = 'Seconds until the next swap after this one comes up (empty: the replace interval)';
+  dwell.value = meta.dwell || '';
+  dwell.setAttribute('aria-label', `Hold time in seconds for ${label}`);
+  dwell.onchange = ()=> setDwell(meta, dwell.value);
+  wrapper.appendChild(dwell);
+  const fav = document.createElement('button');
+  fav.className = 'favBtn' + (meta.favourite ? ' on' : '');
+  fav.innerText = meta.favourite ? '★' : '☆';
+  fav.title = meta.favourite ? 'Favourite (shown more often in weighted mode)' : 'Mark as favourite';
+  labelThumbButton(fav, `Favourite: ${label}`, !!meta.favourite);
+  fav.onclick = ()=> toggleFavourite(meta);
+  wrapper.appendChild(fav);
+  if(meta.equirect){
+    const sky = document.createElement('button');
+    sky.className = 'skyBtn' + (meta.useAsSky ? ' on' : '');
+    sky.innerText = '360';
+    sky.title = meta.useAsSky ? '360° photo: shown as the background (tap to show on a panel instead)' : '360° photo: shown on a panel (tap to use as the background)';
+    labelThumbButton(sky, `Use as 360° background: ${label}`, !!meta.useAsSky);
+    sky.onclick = ()=> toggleUseAsSky(meta);
+    wrapper.appendChild(sky);
   }
-  function getImageDimensionsFromDataUrl(dataUrl){
-    return new Promise((resolve,reject)=>{
-      const img = new Image();
-      img.onload = ()=> resolve({ width: img.naturalWidth, height: img.naturalHeight });
-      img.onerror = ()=> reject(new Error('Image decode failed'));
-      img.src = dataUrl;
-    });
+  if(meta.kind !== 'video'){
+    const narr = document.createElement('button');
+    narr.className = 'narrBtn' + (meta.narrationUrl ? ' on' : '');
+    narr.innerText = '🎙';
+    narr.title = meta.narrationUrl ? `Voice note: ${meta.narrationName || 'attached'} (tap to remove)` : 'Add a voice note (plays when this image comes up)';
+    labelThumbButton(narr, meta.narrationUrl ? `Remove voice note from ${label}` : `Add voice note to ${label}`);
+    narr.onclick = ()=> meta.narrationUrl ? removeNarration(meta) : pickNarration(meta);
+    wrapper.appendChild(narr);
   }
-
-  // UI thumbnails
-  function addThumb(dataUrl, idx){
-    const wrapper = document.createElement('div');
-    wrapper.className = 'thumbWrapper';
-    wrapper.dataset.idx = idx;
-    const img = document.createElement('img');
-    img.src = dataUrl;
-    wrapper.appendChild(img);
-    const rm = document.createElement('button');
-    rm.className = 'removeBtn';
-    rm.innerText = '×';
+  const rm = document.createElement('button');
+  rm.className = 'removeBtn';
+  rm.innerText = '×';
+  if(activePlaylist){
+    rm.title = 'Remove from playlist';
+    labelThumbButton(rm, `Remove ${label} from playlist`);
+    rm.onclick = ()=> removeFromPlaylist(idx);
+    const left = document.createElement('button');
+    left.className = 'moveBtn moveLeft';
+    left.innerText = '◀';
+    left.title = 'Move earlier';
+    labelThumbButton(left, `Move ${label} earlier`);
+    left.disabled = idx === 0;
+    left.onclick = ()=> movePlaylistItem(idx, idx-1);
+    const right = document.createElement('button');
+    right.className = 'moveBtn moveRight';
+    right.innerText = '▶';
+    right.title = 'Move later';
+    labelThumbButton(right, `Move ${label} later`);
+    right.disabled = idx === activePlaylist.itemIds.length-1;
+    right.onclick = ()=> movePlaylistItem(idx, idx+1);
+    wrapper.appendChild(left);
+    wrapper.appendChild(right);
+  } else {
     rm.title = 'Remove';
+    labelThumbButton(rm, `Remove ${label}`);
     rm.onclick = ()=> removeImage(idx);
-    wrapper.appendChild(rm);
-    imageListDiv.appendChild(wrapper);
-  }
-  function rebuildThumbs(){ imageListDiv.innerHTML = ''; metaList.forEach((m,i)=> addThumb(m.dataUrl, i)); }
-  function removeImage(index){
-    const meta = metaList[index];
-    if(!meta) return;
-    const el = document.getElementById(meta.id);
-    if(el && el.parentNode) el.parentNode.removeChild(el);
-    metaList.splice(index,1);
-    rebuildThumbs();
-    statusEl.textContent = `${metaList.length} images selected.`;
-    startBtn.disabled = metaList.length < 1;
-    // keep display tracking consistent
-    if(displayedSet.has(meta.id)) displayedSet.delete(meta.id);
-    if(textureCache[meta.id]) delete textureCache[meta.id];
-  }
-
-  // File picker (supports multiple)
-  filePicker.addEventListener('change', async (evt)=>{
-    const files = Array.from(filePicker.files || []);
-    if(!files.length) return;
-
-    statusEl.textContent = `Adding ${files.length} image(s)...`;
+  }
+  wrapper.appendChild(rm);
+  imageListDiv.appendChild(wrapper);
+}
+function toggleFavourite(meta){
+  meta.favourite = !meta.favourite;
+  rebuildThumbs();
+  if(sequencer) sequencer.setItems(panelList());
+  persistImage(meta, { favourite: meta.favourite });
+}
+function toggleUseAsSky(meta){
+  meta.useAsSky = !meta.useAsSky;
+  rebuildThumbs();
+  if(sequencer) sequencer.setItems(panelList());
+  persistImage(meta, { useAsSky: meta.useAsSky });
+}
+function setCaption(meta, text){
+  meta.caption = String(text || '').trim();
+  refreshPanelCaptions();
+  persistImage(meta, { caption: meta.caption });
+}
+function setDwell(meta, value){
+  const sec = parseFloat(value);
+  meta.dwell = sec > 0 ? Math.min(playlists.MAX_DWELL_SEC, sec) : 0;
+  persistImage(meta, { dwell: meta.dwell });
+}
+// Save changed fields on the image's library record (hosted-show images only live for the visit)
+function persistImage(meta, fields){
+  if(!library.isAvailable() || meta.remote) return Promise.resolve();
+  return library.updateImage(meta.id, fields)
+    .catch(err => log('Library update error: ' + (err && err.message ? err.message : err)));
+}
+// The icon buttons read as what they do to which file; toggles say whether they are on
+function labelThumbButton(btn, label, pressed){
+  btn.type = 'button';
+  btn.setAttribute('aria-label', label);
+  if(pressed !== undefined) btn.setAttribute('aria-pressed', String(pressed));
+}
+// Rebuilt after every change: keep keyboard focus on the same control of the same thumbnail
+function rebuildThumbs(){
+  const focused = imageListDiv.contains(document.activeElement) ? document.activeElement : null;
+  const wrapper = focused && focused.closest('.thumbWrapper');
+  const restore = wrapper ? { idx: wrapper.dataset.idx, className: focused.className.replace(/ on$/, '') } : null;
+  imageListDiv.innerHTML = '';
+  showList().forEach((m,i)=> addThumb(m, i));
+  if(!restore) return;
+  const again = imageListDiv.querySelector(`.thumbWrapper[data-idx="${restore.idx}"]`);
+  const target = again && Array.from(again.querySelectorAll('button, input')).find(el => el.className.replace(/ on$/, '') === restore.className);
+  if(target && !target.disabled) target.focus();
+}
+function removeImage(index){
+  const meta = metaList[index];
+  if(!meta) return;
+  const el = document.getElementById(meta.id);
+  if(el && el.parentNode) el.parentNode.removeChild(el);
+  if(meta.url) URL.revokeObjectURL(meta.url);
+  if(meta.narrationUrl) URL.revokeObjectURL(meta.narrationUrl);
+  metaList.splice(index,1);
+  // keep display tracking consistent
+  if(displayedSet.has(meta.id)) displayedSet.delete(meta.id);
+  if(sequencer) sequencer.setItems(panelList());
+  textures.dispose(meta.id);
+  // a deleted image can't stay in any playlist
+  savedPlaylists.forEach(pl => {
+    const pos = pl.itemIds.indexOf(meta.id);
+    if(pos >= 0){ pl.itemIds.splice(pos,1); pl.updatedAt = Date.now(); persistPlaylist(pl); }
+  });
+  rebuildThumbs();
+  updateSelectionStatus();
+  // and drop it from the persistent library
+  if(library.isAvailable() && !meta.remote){
+    library.removeImage(meta.id)
+      .then(updateLibraryUsage)
+      .catch(err => log('Library delete error: ' + (err && err.message ? err.message : err)));
+  }
+}
+
+// Register media with the session: a-assets <img>/<video> and metaList entry (callers rebuild thumbs)
+function addMetaToSession(meta){
+  // hosted images have no <img> asset: their textures load from the URL on demand (loadUrlTexture)
+  if(meta.remote && meta.kind !== 'video'){ metaList.push(meta); return; }
+  let assetEl;
+  if(meta.kind === 'video'){
+    assetEl = document.createElement('video');
+    assetEl.setAttribute('src', meta.url);
+    assetEl.setAttribute('preload', 'auto');
+    assetEl.setAttribute('playsinline', '');
+    assetEl.setAttribute('webkit-playsinline', '');
+    assetEl.muted = true;
+  } else {
+    assetEl = document.createElement('img');
+    assetEl.setAttribute('src', meta.dataUrl);
+  }
+  assetEl.setAttribute('id', meta.id);
+  assetEl.setAttribute('crossorigin','anonymous');
+  aAssets.appendChild(assetEl);
+
+  metaList.push(meta);
+}
+
+// Decode a picked/imported image or clip, add it to the session and store it in the library
+async function importMediaBlob(blob, info){
+  return commitMedia(await prepareMedia(blob, info));
+}
+
+// Everything that can run for several files at once: decode, downscale, read EXIF / GPano, probe clips.
+// Nothing is added to the session yet (commitMedia does that, in pick order).
+async function prepareMedia(blob, info){
+  if(videoLib.isVideoBlob(blob, info.name)) return { kind: 'video', blob, info, probe: await videoLib.probeVideo(blob) };
+  const type = await importLib.readImageType(blob);
+  let decoded;
+  try { decoded = await imageDecoder.decode(blob, type); }
+  catch(e){ throw new Error(importLib.describeImportError(e, type)); }
+  try {
+    // GPano and EXIF have to be read from the original: re-encoding below drops both
+    const pano = panorama.detectEquirect(decoded, await panorama.readGPano(blob));
+    const exif = await exifLib.readExif(blob);
+    // Downscale (and turn upright) once here so textures never exceed the chosen max size; the library keeps the result
+    const prepared = await prepareImageBlob(blob, decoded, pano.equirect, exif, info.name, type);
+    return { kind: 'image', blob: prepared.blob, info, type, width: prepared.width, height: prepared.height, pano, exif, dataUrl: await importLib.fileToDataURL(prepared.blob) };
+  } finally {
+    decoded.release();
+  }
+}
+
+async function commitMedia(prepared){
+  if(prepared.kind === 'video') return commitVideo(prepared);
+  const { blob: stored, info, pano, exif } = prepared;
+  const id = `img${nextAssetId++}`;
+  const meta = { id, dataUrl: prepared.dataUrl, width: prepared.width, height: prepared.height, name: info.name || id, type: stored.type || prepared.type || info.type || '', lastModified: info.lastModified || Date.now(), equirect: pano.equirect, useAsSky: pano.equirect && !pano.partial, caption: info.caption || '', takenAt: (exif && exif.takenAt) || info.takenAt || null, camera: (exif && exif.camera) || '', gps: (exif && exif.gps) || null, dwell: info.dwell || 0, hash: info.hash || null };
+  addMetaToSession(meta);
+
+  if(library.isAvailable()){
     try {
-      for (const f of files){
-        const dataUrl = await fileToDataURL(f);
-        const dims = await getImageDimensionsFromDataUrl(dataUrl);
-        const id = `img${nextAssetId++}`;
-        const imgEl = document.createElement('img');
-        imgEl.setAttribute('id', id);
-        imgEl.setAttribute('src', dataUrl);
-        imgEl.setAttribute('crossorigin','anonymous');
-        aAssets.appendChild(imgEl);
-
-        metaList.push({ id, dataUrl, width: dims.width, height: dims.height });
-        addThumb(dataUrl, metaList.length-1);
-      }
-      statusEl.textContent = `${metaList.length} images selected.`;
-      startBtn.disabled = metaList.length < 1;
-      clearLog();
-    } catch(err){
-      log('Image conversion error: ' + (err && err.message ? err.message : err));
+      await library.saveImage({ id, blob: stored, width: meta.width, height: meta.height, name: meta.name, type: meta.type, lastModified: meta.lastModified, addedAt: Date.now(), equirect: meta.equirect, useAsSky: meta.useAsSky, caption: meta.caption, takenAt: meta.takenAt, camera: meta.camera, gps: meta.gps, dwell: meta.dwell, hash: meta.hash, exifRead: true });
+    } catch(e){
+      log('Library save error (image kept for this session only): ' + (e && e.message ? e.message : e));
+    }
+  }
+  return meta;
+}
+
+// Downscale to the max texture size; photos with an EXIF rotation are always re-encoded upright so
+// panels, thumbnails and textures agree no matter how the browser treats the orientation tag.
+// HEIC / AVIF are always re-encoded: browsers that can't decode them couldn't show the library either.
+async function prepareImageBlob(blob, decoded, equirect, exif, name, type){
+  const reencode = importLib.needsReencode(type);
+  try {
+    return await decoded.encode({ maxDim: maxTextureDimension(equirect), forcePot: needsPowerOfTwoTextures(), force: reencode || !!(exif && exif.orientation !== 1) });
+  } catch(e){
+    if(reencode) throw e;
+    console.warn('Downscale failed, keeping original', name, e);
+    return { blob, width: decoded.width, height: decoded.height };
+  }
+}
+
+// Images saved before EXIF support: read it now and turn rotated photos upright (once; the record is updated)
+async function upgradeImageRecord(rec){
+  const exif = await exifLib.readExif(rec.blob);
+  const fields = { exifRead: true, takenAt: rec.takenAt || (exif && exif.takenAt) || null, camera: rec.camera || (exif && exif.camera) || '', gps: rec.gps || (exif && exif.gps) || null };
+  if(exif && exif.orientation !== 1){
+    const decoded = await imageDecoder.decode(rec.blob, rec.blob.type);
+    try {
+      const prepared = await prepareImageBlob(rec.blob, decoded, rec.equirect, exif, rec.name, rec.blob.type);
+      Object.assign(fields, { blob: prepared.blob, width: prepared.width, height: prepared.height });
     } finally {
-      filePicker.value = '';
+      decoded.release();
     }
-  });
+  }
+  Object.assign(rec, fields);
+  library.updateImage(rec.id, fields).catch(err => console.warn('Library upgrade failed for', rec.id, err));
+  return rec;
+}
 
-  // shuffle helper
-  function shuffleArray(arr){
-    for(let i=arr.length-1;i>0;i--){
-      const j = Math.floor(Math.random()*(i+1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
+// Longest texture side for new imports: the setup choice (360° photos get at least SKY_MAX_DIMENSION), capped by the GPU
+function maxTextureDimension(equirect){
+  const chosen = parseInt(maxTextureSelect && maxTextureSelect.value, 10) || texturesLib.DEFAULT_MAX_DIMENSION;
+  const wanted = equirect ? Math.max(chosen, SKY_MAX_DIMENSION) : chosen;
+  const renderer = scene.renderer;
+  const gpuMax = renderer && renderer.capabilities ? renderer.capabilities.maxTextureSize : 0;
+  return gpuMax ? Math.min(wanted, gpuMax) : wanted;
+}
+// WebGL1 can't mipmap non-power-of-two textures (three.js would resize them on every upload)
+function needsPowerOfTwoTextures(){
+  const renderer = scene.renderer;
+  return !!(renderer && renderer.capabilities && !renderer.capabilities.isWebGL2);
+}
+
+// Clips: the blob plays from an object URL; dataUrl holds the poster frame for thumbnails
+async function commitVideo(prepared){
+  const { blob, info, probe } = prepared;
+  const id = `img${nextAssetId++}`;
+  const meta = { id, kind: 'video', url: probe.url, dataUrl: probe.poster, width: probe.width, height: probe.height, duration: probe.duration, name: info.name || id, type: blob.type || info.type || '', lastModified: info.lastModified || Date.now(), caption: info.caption || '', dwell: info.dwell || 0, hash: info.hash || null };
+  addMetaToSession(meta);
+
+  if(library.isAvailable()){
+    try {
+      await library.saveImage({ id, kind: 'video', blob, poster: meta.dataUrl, duration: meta.duration, width: meta.width, height: meta.height, name: meta.name, type: meta.type, lastModified: meta.lastModified, addedAt: Date.now(), caption: meta.caption, dwell: meta.dwell, hash: meta.hash });
+    } catch(e){
+      log('Library save error (clip kept for this session only): ' + (e && e.message ? e.message : e));
     }
-    return arr;
-  }
-
-  // Choose separated yaw
-  function chooseSeparatedYaw(){
-    const maxAttempts = 60;
-    for(let attempt=0; attempt<maxAttempts; attempt++){
-      const yawDeg = randRange(0,360);
-      let ok = true;
-      for(const used of usedYaws){
-        const diff = Math.abs(((yawDeg - used + 180 + 360) % 360) - 180);
-        if(diff < MIN_ANGULAR_SEPARATION_DEG){ ok = false; break; }
-      }
-      if(ok){ usedYaws.push(yawDeg); return yawDeg * Math.PI/180; }
+  }
+  return meta;
+}
+
+// Music: tracks play in the order added, crossfading across the whole session (see js/audio.js)
+async function importMusicBlob(blob, info){
+  const id = `mus${nextMusicId++}`;
+  let tempo = null;
+  try { tempo = await audioLib.analyzeTempo(blob); } catch(e){ console.warn('Tempo analysis failed for', info.name, e); }
+  const track = { id, url: URL.createObjectURL(blob), name: info.name || id, type: blob.type || info.type || '', duration: tempo ? tempo.duration : 0, bpm: tempo ? tempo.bpm : 0, offset: tempo ? tempo.offset : 0 };
+  musicTracks.push(track);
+  renderMusicList();
+  if(library.isAvailable()){
+    try {
+      await library.saveMusic({ id, blob, name: track.name, type: track.type, duration: track.duration, bpm: track.bpm, offset: track.offset, addedAt: Date.now() });
+    } catch(e){
+      log('Library save error (track kept for this session only): ' + (e && e.message ? e.message : e));
     }
-    const fallback = randRange(0,360);
-    usedYaws.push(fallback);
-    return fallback * Math.PI/180;
-  }
-
-  // Angle-based spherical placement centered on camera
-  function positionFromAngles(radius){
-    const yaw = chooseSeparatedYaw();
-    const elevationDeg = randRange(-BAND_ELEVATION_DEG, BAND_ELEVATION_DEG);
-    const elev = elevationDeg * Math.PI/180;
-    const camPos = cameraEl.getAttribute('position') || { x:0, y:1.6, z:0 };
-
-    const x = radius * Math.cos(elev) * Math.sin(yaw);
-    const y = camPos.y + radius * Math.sin(elev);
-    const z = -radius * Math.cos(elev) * Math.cos(yaw);
-    const theta = Math.atan2(x, -z);
-    return { x, y, z, theta, yawDeg: yaw * 180/Math.PI, elevationDeg };
-  }
-
-  // Curved panel component (uses textureCache when possible)
-  AFRAME.registerComponent('curved-panel', {
-    schema: {
-      width: { type: 'number', default: 1.2 },
-      height: { type: 'number', default: 0.8 },
-      curvature: { type: 'number', default: PANEL_CURVATURE },
-      segmentsW: { type: 'int', default: 48 },
-      segmentsH: { type: 'int', default: 12 },
-      src: { type: 'string', default: '' }
-    },
-    init: function(){
-      const data = this.data;
-      const el = this.el;
-      const width = data.width;
-      const height = data.height;
-      const segW = Math.max(4, data.segmentsW);
-      const segH = Math.max(1, data.segmentsH);
-
-      const geom = new THREE.PlaneGeometry(width, height, segW, segH);
-      const bend = Math.max(0, Math.min(1, data.curvature));
-      const arc = bend * Math.PI / 3;
-      const radius = (arc > 0) ? (width / arc) : 1000;
-      const posAttr = geom.attributes.position;
-      for(let i=0;i<posAttr.count;i++){
-        const vx = posAttr.getX(i);
-        const vy = posAttr.getY(i);
-        if(arc > 0){
-          const t = (vx + width/2) / width;
-          const angle = (t - 0.5) * arc;
-          const newX = Math.sin(angle) * radius;
-          const newZ = radius - Math.cos(angle) * radius;
-          posAttr.setX(i, newX);
-          posAttr.setZ(i, newZ);
-          posAttr.setY(i, vy);
-        } else {
-          posAttr.setX(i, vx);
-          posAttr.setZ(i, 0);
-          posAttr.setY(i, vy);
+  }
+  return track;
+}
+function renderMusicList(){
+  if(!musicListEl) return;
+  musicListEl.innerHTML = '';
+  if(!musicTracks.length){ musicListEl.textContent = 'none (pick audio files above to add background music)'; return; }
+  musicTracks.forEach(track => {
+    const item = document.createElement('span');
+    item.className = 'musicTrack';
+    item.textContent = `${track.name} · ${track.bpm ? Math.round(track.bpm) + ' BPM' : 'tempo unknown'}`;
+    const rm = document.createElement('button');
+    rm.type = 'button';
+    rm.innerText = '×';
+    rm.title = 'Remove track';
+    rm.setAttribute('aria-label', `Remove track ${track.name}`);
+    rm.onclick = ()=> removeMusicTrack(track.id);
+    item.appendChild(rm);
+    musicListEl.appendChild(item);
+  });
+}
+function removeMusicTrack(id){
+  const pos = musicTracks.findIndex(t => t.id === id);
+  if(pos < 0) return;
+  const [track] = musicTracks.splice(pos, 1);
+  URL.revokeObjectURL(track.url);
+  renderMusicList();
+  if(library.isAvailable()){
+    library.removeMusic(id)
+      .then(updateLibraryUsage)
+      .catch(err => log('Library delete error: ' + (err && err.message ? err.message : err)));
+  }
+}
+async function restoreMusic(){
+  try {
+    const records = library.isAvailable() ? await library.loadAllMusic() : [];
+    records.forEach(rec => {
+      const num = parseInt(String(rec.id).replace(/^mus/, ''), 10);
+      if(!isNaN(num) && num >= nextMusicId) nextMusicId = num + 1;
+      musicTracks.push({ id: rec.id, url: URL.createObjectURL(rec.blob), name: rec.name || rec.id, type: rec.type || '', duration: rec.duration || 0, bpm: rec.bpm || 0, offset: rec.offset || 0 });
+    });
+  } catch(err){
+    log('Music restore error: ' + (err && err.message ? err.message : err));
+  }
+  renderMusicList();
+}
+
+// Voice notes: one audio file per image, stored on the image's library record
+function baseName(name){ return String(name || '').replace(/\.[^.]+$/, '').toLowerCase(); }
+function attachNarration(meta, blob, name){
+  if(meta.narrationUrl) URL.revokeObjectURL(meta.narrationUrl);
+  meta.narrationUrl = URL.createObjectURL(blob);
+  meta.narrationName = name || '';
+  persistImage(meta, { narration: blob, narrationName: meta.narrationName }).then(updateLibraryUsage);
+}
+function removeNarration(meta){
+  if(!window.confirm(`Remove the voice note from "${meta.name || meta.id}"?`)) return;
+  if(meta.narrationUrl) URL.revokeObjectURL(meta.narrationUrl);
+  meta.narrationUrl = null;
+  meta.narrationName = '';
+  rebuildThumbs();
+  persistImage(meta, { narration: null, narrationName: '' }).then(updateLibraryUsage);
+}
+let narrationTarget = null;
+function pickNarration(meta){
+  if(!narrationPicker) return;
+  narrationTarget = meta;
+  narrationPicker.click();
+}
+if(narrationPicker) narrationPicker.addEventListener('change', ()=>{
+  const file = narrationPicker.files && narrationPicker.files[0];
+  const meta = narrationTarget;
+  narrationTarget = null;
+  narrationPicker.value = '';
+  if(!file || !meta) return;
+  if(!audioLib.isAudioBlob(file, file.name)){ log(`"${file.name}" is not an audio file.`); return; }
+  attachNarration(meta, file, file.name);
+  rebuildThumbs();
+});
+
+// Library storage readout
+async function updateLibraryUsage(){
+  if(!libraryUsageEl) return;
+  if(!library.isAvailable()){ libraryUsageEl.textContent = 'Library: not available in this browser (images last for this session only).'; return; }
+  const est = await library.estimateUsage();
+  const count = `${metaList.length} image${metaList.length === 1 ? '' : 's'}`;
+  libraryUsageEl.textContent = est && est.quota
+    ? `Library: ${count} · ${library.formatBytes(est.usage)} used of ${library.formatBytes(est.quota)} (${Math.round(100 * est.usage / est.quota)}%)`
+    : `Library: ${count}`;
+}
+
+// Restore images (and then playlists) saved in previous sessions
+async function restoreLibrary(){
+  if(!library.isAvailable()){ updateLibraryUsage(); return; }
+  try {
+    const records = await library.loadAllImages();
+    if(records.length) statusEl.textContent = `Restoring ${records.length} image(s) from library...`;
+    for(const rec of records){
+      try {
+        const num = parseInt(String(rec.id).replace(/^img/, ''), 10);
+        if(!isNaN(num) && num >= nextAssetId) nextAssetId = num + 1;
+        if(rec.kind === 'video'){
+          addMetaToSession({ id: rec.id, kind: 'video', url: URL.createObjectURL(rec.blob), dataUrl: rec.poster || '', width: rec.width, height: rec.height, duration: rec.duration || 0, name: rec.name || rec.id, type: rec.type || '', lastModified: rec.lastModified || rec.addedAt || 0, favourite: !!rec.favourite, caption: rec.caption || '', dwell: rec.dwell || 0, hash: rec.hash || null });
+          continue;
         }
+        if(!rec.exifRead) await upgradeImageRecord(rec);
+        const dataUrl = await importLib.fileToDataURL(rec.blob);
+        addMetaToSession({ id: rec.id, dataUrl, width: rec.width, height: rec.height, name: rec.name || rec.id, type: rec.type || '', lastModified: rec.lastModified || rec.addedAt || 0, favourite: !!rec.favourite, equirect: !!rec.equirect, useAsSky: !!rec.useAsSky, narrationUrl: rec.narration ? URL.createObjectURL(rec.narration) : null, narrationName: rec.narrationName || '', caption: rec.caption || '', takenAt: rec.takenAt || null, camera: rec.camera || '', gps: rec.gps || null, dwell: rec.dwell || 0, hash: rec.hash || null });
+      } catch(e){
+        console.warn('Library restore failed for', rec.id, e);
       }
-      geom.computeVertexNormals();
+    }
+  } catch(err){
+    log('Library restore error: ' + (err && err.message ? err.message : err));
+  }
+  await restorePlaylists();
+  await restoreMusic();
+  rebuildThumbs();
+  updateSelectionStatus(metaList.length ? ' (restored from library)' : '');
+  updateLibraryUsage();
+}
 
-      const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, transparent: true, opacity: 1 });
-      const mesh = new THREE.Mesh(geom, mat);
-      el.setObject3D('mesh', mesh);
+// ?show= link: the manifest's images load from their URLs for this visit; the local library is left alone
+async function loadHostedShow(showUrl){
+  document.body.classList.add('hostedShow');
+  statusEl.textContent = 'Loading show...';
+  let result;
+  try {
+    result = await hostedLib.loadManifest(showUrl);
+  } catch(err){
+    log('Show link error: ' + (err && err.message ? err.message : err));
+    statusEl.textContent = 'The linked show could not be loaded.';
+    return;
+  }
+  const { manifest, baseUrl } = result;
+  hostedShow = { url: showUrl, name: manifest.name };
+  manifest.images.forEach(entry => {
+    const meta = { id: 'img' + (nextAssetId++), remote: true, name: entry.name, width: entry.width || 0, height: entry.height || 0, type: entry.type || '', lastModified: 0, caption: entry.caption || '', takenAt: entry.takenAt || null, dwell: entry.dwell || 0 };
+    const src = hostedLib.entrySource(entry, baseUrl);
+    if(entry.kind === 'video') Object.assign(meta, { kind: 'video', url: src, dataUrl: '', duration: entry.duration || 0 });
+    else meta.dataUrl = src;
+    addMetaToSession(meta);
+  });
+  applySettingsToUi(Object.assign({}, manifest.settings, linkParams.settings));
+  if(hostedInfoEl) hostedInfoEl.querySelector('span').textContent = `Showing "${manifest.name}" from ${new URL(baseUrl).host}. `;
+  rebuildThumbs();
+  updateSelectionStatus();
+}
+
+async function clearLibrary(){
+  if(!window.confirm('Remove all images from this device\'s slideshow library?')) return;
+  try {
+    if(library.isAvailable()) await library.clearImages();
+  } catch(err){
+    log('Library clear error: ' + (err && err.message ? err.message : err));
+    return;
+  }
+  videoCtl.stopAll();
+  metaList.forEach(m => { const el = document.getElementById(m.id); if(el && el.parentNode) el.parentNode.removeChild(el); if(m.url) URL.revokeObjectURL(m.url); if(m.narrationUrl) URL.revokeObjectURL(m.narrationUrl); });
+  metaList.length = 0;
+  displayedSet.clear();
+  textures.clear();
+  // playlists survive but are now empty
+  savedPlaylists.forEach(pl => { if(pl.itemIds.length){ pl.itemIds = []; pl.updatedAt = Date.now(); persistPlaylist(pl); } });
+  rebuildThumbs();
+  updateSelectionStatus();
+  updateLibraryUsage();
+}
+if(clearLibraryBtn) clearLibraryBtn.addEventListener('click', clearLibrary);
+
+// Max texture size is a per-device choice (applies to images imported from now on)
+if(maxTextureSelect){
+  try {
+    const saved = localStorage.getItem(MAX_TEXTURE_KEY);
+    if(saved && texturesLib.MAX_DIMENSIONS.includes(parseInt(saved, 10))) maxTextureSelect.value = saved;
+  } catch(e){}
+  maxTextureSelect.addEventListener('change', ()=>{ try { localStorage.setItem(MAX_TEXTURE_KEY, maxTextureSelect.value); } catch(e){} });
+}
+// Viewing mode is per device too; a first visit gets a guess from what the device can do
+if(viewModeSelect){
+  const stored = viewModes.loadMode();
+  if(viewModes.isMode(linkParams.view)) viewModeSelect.value = linkParams.view; // for this visit, not remembered
+  else if(stored) viewModeSelect.value = stored;
+  else viewModes.detectMode().then(mode => { if(!viewModes.loadMode()) viewModeSelect.value = mode; });
+  viewModeSelect.addEventListener('change', ()=> viewModes.saveMode(viewModeSelect.value));
+}
+// So are the sync settings; a follower link (&role=follower&relay=...&room=...) fills them in for this visit
+if(syncRoleSelect){
+  const saved = syncLib.loadSettings();
+  const fromLink = linkParams.sync;
+  syncRoleSelect.value = syncLib.ROLES.includes(fromLink.role) ? fromLink.role : saved.role;
+  syncRelayInput.value = fromLink.relay || saved.relay;
+  syncRoomInput.value = fromLink.room || saved.room;
+  syncRelayInput.placeholder = syncLib.defaultRelayUrl(window.location) || 'wss://laptop-address:8090/relay';
+  const showRelayFields = ()=> syncBar.classList.toggle('syncOn', syncRoleSelect.value !== 'off');
+  showRelayFields();
+  [syncRoleSelect, syncRelayInput, syncRoomInput].forEach(el => el.addEventListener('change', ()=>{ syncLib.saveSettings(syncSettings()); showRelayFields(); }));
+}
+// Comfort options belong to the viewer: remembered here, never in a playlist or a share link
+function readComfortFromUi(){
+  return comfortLib.normalizeComfort({
+    seated: seatedModeInput.checked,
+    seatedArcDeg: seatedArcSelect.value,
+    indicator: swapIndicatorSelect.value,
+    reducedMotion: reducedMotionInput.checked,
+    distance: viewDistanceInput.value,
+    highContrast: highContrastInput.checked,
+    textScale: textScaleSelect.value
+  });
+}
+function showComfortInUi(){
+  seatedModeInput.checked = comfort.seated;
+  seatedArcSelect.value = String(comfort.seatedArcDeg);
+  seatedArcSelect.disabled = !comfort.seated;
+  swapIndicatorSelect.value = comfort.indicator;
+  reducedMotionInput.checked = comfort.reducedMotion;
+  viewDistanceInput.value = String(comfort.distance);
+  viewDistanceOut.textContent = `${comfort.distance.toFixed(1)} m`;
+  viewDistanceInput.setAttribute('aria-valuetext', `${comfort.distance.toFixed(1)} metres`);
+  highContrastInput.checked = comfort.highContrast;
+  textScaleSelect.value = String(comfort.textScale);
+}
+if(seatedModeInput){
+  showComfortInUi();
+  [seatedModeInput, seatedArcSelect, swapIndicatorSelect, reducedMotionInput, viewDistanceInput, highContrastInput, textScaleSelect].forEach(el => {
+    el.addEventListener(el === viewDistanceInput ? 'input' : 'change', ()=>{ comfort = readComfortFromUi(); comfortLib.saveComfort(comfort); showComfortInUi(); });
+  });
+}
+
+// Share link: this page with the current settings and viewing mode (and the hosted show, if one is open)
+function copyShareLink(){
+  // a presenter's link makes followers: same show, same relay and room
+  const s = syncSettings();
+  const sync = s.role === 'presenter' ? { role: 'follower', relay: s.relay || syncLib.defaultRelayUrl(window.location), room: s.room } : null;
+  const url = hostedLib.buildShareUrl(window.location.href, { show: hostedShow ? hostedShow.url : null, view: viewModeSelect.value, settings: readSettingsFromUi(), sync });
+  const note = hostedShow ? '' : ' It carries the settings only: photos from this device can\'t travel in a link (host them with a slideshow.json, see README).';
+  const done = ()=>{ statusEl.textContent = 'Share link copied.' + note; };
+  if(navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(url).then(done, ()=> window.prompt('Copy this link:', url));
+  else window.prompt('Copy this link:', url);
+}
+if(shareLinkBtn) shareLinkBtn.addEventListener('click', copyShareLink);
+
+// Adding files: picked, a whole folder, or dropped on the page. Photos and clips go through the import
+// pipeline (js/importer.js), several at a time; a file that fails is listed and the rest still go in.
+// Batches queue behind each other.
+function queueImport(files){
+  importQueue = importQueue.then(()=> importFiles(files)).catch(err => log('Import error: ' + (err && err.message ? err.message : err)));
+  return importQueue;
+}
 
-      this.mesh = mesh;
-      this.texture = null;
+// The same photo picked again: by content, or by name and date for library images saved before hashing
+function findDuplicate(file, hash){
+  return metaList.find(m => !m.remote && (m.hash ? m.hash === hash : m.name === file.name && m.lastModified === file.lastModified)) || null;
+}
+
+async function importFiles(files){
+  if(!files.length) return;
+  // audio named like an image (IMG_0042.m4a next to IMG_0042.jpg) becomes its voice note; the rest is music
+  const audioFiles = files.filter(f => audioLib.isAudioBlob(f, f.name));
+  const mediaFiles = files.filter(f => !audioFiles.includes(f) && (importLib.isImageFile(f) || videoLib.isVideoBlob(f, f.name)));
+  const ignored = files.length - audioFiles.length - mediaFiles.length;
+  const duplicates = [];
+  const batchKeys = new Set();
+  let panoramas = 0;
+  let playlistChanged = false;
+
+  renderImportReport(null);
+  showImportProgress(0, mediaFiles.length);
+  const { failures } = await importLib.runImports(mediaFiles, {
+    concurrency: IMPORT_CONCURRENCY,
+    prepare: async f => {
+      const hash = await importLib.contentKey(f);
+      const existing = findDuplicate(f, hash);
+      if(existing || batchKeys.has(hash)) return { duplicate: true, existing };
+      batchKeys.add(hash);
+      return prepareMedia(f, { name: f.name, type: f.type, lastModified: f.lastModified, hash });
     },
-    update: function(oldData){
-      if(oldData.src !== this.data.src && this.data.src){
-        this.loadTexture(this.data.src);
+    commit: async (prepared, f) => {
+      let meta = prepared.existing || null;
+      if(prepared.duplicate) duplicates.push(f.name);
+      else {
+        meta = await commitMedia(prepared);
+        if(meta.useAsSky) panoramas++;
+      }
+      // picking while a playlist is active appends to that playlist (a duplicate adds the library's copy)
+      if(meta && activePlaylist && !activePlaylist.itemIds.includes(meta.id)){
+        activePlaylist.itemIds.push(meta.id);
+        activePlaylist.updatedAt = Date.now();
+        playlistChanged = true;
       }
+      if(!prepared.duplicate) rebuildThumbs();
     },
-    remove: function(){ if(this.mesh) this.el.removeObject3D('mesh'); },
-    loadTexture: function(src){
-      const self = this;
-      try {
-        if(typeof src === 'string' && src.charAt(0) === '#'){
-          const id = src.slice(1);
-          // Prefer textureCache if available
-          if(textureCache[id]){
-            const tex = textureCache[id];
-            if(self.mesh && self.mesh.material){ self.mesh.material.map = tex; self.mesh.material.needsUpdate = true; }
-            self.texture = tex;
-            return;
-          }
-          // Fallback: create texture from DOM <img> element (should be loaded already)
-          const imgEl = document.querySelector(src);
-          if(imgEl){
-            const tex = new THREE.Texture(imgEl);
-            try { const renderer = self.el.sceneEl && self.el.sceneEl.renderer; const maxAniso = renderer && renderer.capabilities ? renderer.capabilities.getMaxAnisotropy() : DESIRED_ANISOTROPY; tex.anisotropy = Math.min(DESIRED_ANISOTROPY, maxAniso || DESIRED_ANISOTROPY); } catch(e){ tex.anisotropy = DESIRED_ANISOTROPY; }
-            tex.encoding = THREE.sRGBEncoding;
-            tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
-            tex.minFilter = THREE.LinearMipmapLinearFilter;
-            tex.magFilter = THREE.LinearFilter;
-            tex.generateMipmaps = true;
-            tex.needsUpdate = true;
-
-            // cache it for future swaps
-            textureCache[id] = tex;
-
-            if(self.mesh && self.mesh.material){ self.mesh.material.map = tex; self.mesh.material.needsUpdate = true; }
-            self.texture = tex;
-            return;
-          }
-        }
-      } catch(e){ console.warn('DOM texture path failed', e); }
-
-      // final fallback: try loading via TextureLoader (should be rare since we preload)
-      const loader = new THREE.TextureLoader(); loader.setCrossOrigin('anonymous');
-      loader.load(src, function(tex){
-        try { const renderer = self.el.sceneEl && self.el.sceneEl.renderer; const maxAniso = renderer && renderer.capabilities ? renderer.capabilities.getMaxAnisotropy() : DESIRED_ANISOTROPY; tex.anisotropy = Math.min(DESIRED_ANISOTROPY, maxAniso || DESIRED_ANISOTROPY); } catch(e){ tex.anisotropy = DESIRED_ANISOTROPY; }
-        tex.encoding = THREE.sRGBEncoding;
-        tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
-        tex.minFilter = THREE.LinearMipmapLinearFilter;
-        tex.magFilter = THREE.LinearFilter;
-        tex.generateMipmaps = true;
-
-        if(self.mesh && self.mesh.material){ self.mesh.material.map = tex; self.mesh.material.needsUpdate = true; }
-        self.texture = tex;
-      }, undefined, function(err){
-        console.warn('Texture load error', err);
-        try {
-          const placeholder = new THREE.Texture(generatePlaceholderCanvas(512, 512));
-          placeholder.needsUpdate = true; placeholder.encoding = THREE.sRGBEncoding; placeholder.wrapS = placeholder.wrapT = THREE.ClampToEdgeWrapping;
-          if(self.mesh && self.mesh.material){ self.mesh.material.map = placeholder; self.mesh.material.needsUpdate = true; }
-          self.texture = placeholder;
-        } catch(e){}
-      });
-    }
+    onProgress: ({ done, total }) => showImportProgress(done, total)
   });
+  showImportProgress(0, 0);
+  if(playlistChanged){ persistPlaylist(activePlaylist); rebuildThumbs(); }
 
-  // helper to generate a simple placeholder checkerboard canvas
-  function generatePlaceholderCanvas(w, h){
-    const cvs = document.createElement('canvas'); cvs.width = w; cvs.height = h; const ctx = cvs.getContext('2d');
-    ctx.fillStyle = '#666'; ctx.fillRect(0,0,w,h);
-    ctx.fillStyle = '#999';
-    const size = 32; for(let y=0;y<h;y+=size){ for(let x=0;x<w;x+=size){ if(((x+y)/size|0)%2===0){ ctx.fillRect(x,y,size,size); } }}
-    return cvs;
-  }
-
-  // Create curved panel entity using provided meta and store metaId on dataset (REV 2.4 CHECKPOINT B)
-  function createCurvedPanelForMeta(meta, panelHeight){
-    const aspect = meta.width && meta.height ? meta.width / meta.height : 1.5;
-    const height = Math.max(0.5, panelHeight);
-    let width = Math.max(0.6, height * aspect);
-    if(width > MAX_PANEL_WIDTH) width = MAX_PANEL_WIDTH;
-    const pos = positionFromAngles(FIXED_RADIUS);
-    const ent = document.createElement('a-entity');
-    ent.setAttribute('position', `${pos.x} ${pos.y} ${pos.z}`);
-    ent.setAttribute('rotation', `0 ${-pos.theta * 180/Math.PI} 0`);
-    ent.setAttribute('curved-panel', `width: ${width}; height: ${height}; curvature: ${PANEL_CURVATURE}; src: #${meta.id}`);
-    ent.setAttribute('look-at', '#camera');
-    // Save metaId on DOM dataset for robust retrieval later
-    ent.dataset.metaId = meta.id;
-    return ent;
-  }
-
-  // Build initial visible panels with uniqueness guarantee
-  async function buildPanels(panelHeight){
-    // clear old
-    panelEntities.forEach(e=>{ try{ e.parentNode.removeChild(e); }catch(e){} });
-    panelEntities = [];
-    usedYaws = [];
-    displayedSet.clear();
-
-    if(!metaList.length) return;
-
-    // shuffle list for randomness
-    const shuffled = shuffleArray(metaList.slice());
-
-    // Take up to VISIBLE_PANELS unique images for initial display
-    const initialCount = Math.min(VISIBLE_PANELS, shuffled.length);
-    for(let i=0;i<initialCount;i++){
-      const m = shuffled[i];
-      const ent = createCurvedPanelForMeta(m, panelHeight);
-      panelContainer.appendChild(ent);
-      panelEntities.push(ent);
-      displayedSet.add(m.id);
+  let notes = 0;
+  for (const f of audioFiles){
+    const meta = metaList.find(m => m.kind !== 'video' && baseName(m.name) === baseName(f.name));
+    if(meta){ attachNarration(meta, f, f.name); notes++; }
+    else {
+      statusEl.textContent = `Analysing tempo of ${f.name}...`;
+      try { await importMusicBlob(f, { name: f.name, type: f.type }); }
+      catch(err){ failures.push({ item: f, error: err }); }
     }
+  }
+  if(notes) rebuildThumbs();
+  updateSelectionStatus();
+  renderImportReport({ failures, duplicates, ignored });
+  if(failures.length) log(`${failures.length} file(s) could not be added: see the list under the file picker.`);
+  else if(panoramas) log(`${panoramas} 360° photo(s) detected: they will be shown as the surrounding background. Tap "360" on a thumbnail to show one on a panel instead.`);
+  else clearLog();
+  updateLibraryUsage();
+}
 
-    // If we have fewer than VISIBLE_PANELS images, duplicate fairly until filled
-    while(panelEntities.length < VISIBLE_PANELS){
-      const m = shuffled[panelEntities.length % shuffled.length];
-      const ent = createCurvedPanelForMeta(m, panelHeight);
-      panelContainer.appendChild(ent);
-      panelEntities.push(ent);
-      displayedSet.add(m.id);
-    }
+function showImportProgress(done, total){
+  if(!importProgressEl) return;
+  importProgressEl.hidden = !total;
+  importProgressEl.max = total || 1;
+  importProgressEl.value = done;
+  if(total) statusEl.textContent = `Adding ${Math.min(done + 1, total)} of ${total} file(s)...`;
+}
+
+// What didn't go in, and why: failures by name, duplicates, files that aren't photos, clips or audio
+function renderImportReport(report){
+  if(!importReportEl) return;
+  importReportEl.innerHTML = '';
+  if(!report) return;
+  const line = (text, cls)=>{
+    const el = document.createElement('div');
+    if(cls) el.className = cls;
+    el.textContent = text;
+    importReportEl.appendChild(el);
+    return el;
+  };
+  if(report.failures.length){
+    line(`Not added (${report.failures.length}):`, 'importFailed');
+    const list = document.createElement('ul');
+    report.failures.forEach(({ item, error }) => {
+      const li = document.createElement('li');
+      li.textContent = `${item.name}: ${error && error.message ? error.message : error}`;
+      list.appendChild(li);
+    });
+    importReportEl.appendChild(list);
   }
+  if(report.duplicates.length) line(`Already in the library, skipped (${report.duplicates.length}): ${report.duplicates.join(', ')}`);
+  if(report.ignored) line(`${report.ignored} file(s) skipped: not a photo, clip or audio file.`);
+}
+
+filePicker.addEventListener('change', ()=>{
+  const files = Array.from(filePicker.files || []);
+  filePicker.value = '';
+  queueImport(files);
+});
+if(folderPicker && 'webkitdirectory' in folderPicker){
+  folderBtn.hidden = false;
+  folderBtn.addEventListener('click', ()=> folderPicker.click());
+  folderPicker.addEventListener('change', ()=>{
+    const files = Array.from(folderPicker.files || []);
+    folderPicker.value = '';
+    queueImport(files);
+  });
+}
 
-  // Replace one panel (texture swap + fade) — recompute unused images each cycle (REV 2.4 CHECKPOINT B)
-  function replaceOnePanel(panelHeight){
-    if(!panelEntities.length || !metaList.length) return;
+// Drag and drop (desktop): files and whole folders dropped anywhere on the setup page
+function isFileDrag(evt){
+  return !showRunning && !document.body.classList.contains('hostedShow') && !!evt.dataTransfer && Array.from(evt.dataTransfer.types || []).includes('Files');
+}
+document.addEventListener('dragover', (evt)=>{
+  if(!isFileDrag(evt)) return;
+  evt.preventDefault();
+  evt.dataTransfer.dropEffect = 'copy';
+  document.body.classList.add('dropping');
+});
+document.addEventListener('dragleave', (evt)=>{ if(!evt.relatedTarget) document.body.classList.remove('dropping'); });
+document.addEventListener('drop', (evt)=>{
+  document.body.classList.remove('dropping');
+  if(!isFileDrag(evt)) return;
+  evt.preventDefault();
+  // the drop's items are only readable during this event: collectDroppedFiles takes them before it awaits
+  importLib.collectDroppedFiles(evt.dataTransfer).then(queueImport);
+});
 
-    // pick a random panel index to replace
-    const idx = Math.floor(Math.random()*panelEntities.length);
-    const old = panelEntities[idx];
+// Playlists: named, ordered selections with their own settings (see js/playlists.js)
+function persistPlaylist(pl){
+  if(!library.isAvailable()) return Promise.resolve();
+  return library.savePlaylist(pl).catch(err => log('Playlist save error: ' + (err && err.message ? err.message : err)));
+}
 
-    // Recompute currently displayed ids (fresh)
-    const currentlyDisplayedIds = panelEntities.map(e => e.dataset.metaId).filter(Boolean);
+function readSettingsFromUi(){
+  return playlists.normalizeSettings({
+    panelSize: panelSizeSelect.value,
+    replaceInterval: replaceIntervalInput.value,
+    visiblePanels: visiblePanelsInput.value,
+    layout: layoutSelect.value,
+    fit: fitModeSelect.value,
+    sequence: sequenceModeSelect.value,
+    skyInterval: skyIntervalInput.value,
+    videoMaxSec: videoMaxInput.value,
+    videoSound: videoSoundInput.checked,
+    transition: transitionSelect.value,
+    transitionSec: transitionSecInput.value,
+    easing: easingSelect.value,
+    musicCrossfade: musicCrossfadeInput.value,
+    beatSync: beatSyncInput.checked,
+    captions: captionModeSelect.value,
+    environment: environmentSelect.value,
+    frame: panelFrameSelect.value,
+    shadows: panelShadowsInput.checked
+  });
+}
+function applySettingsToUi(settings){
+  const st = playlists.normalizeSettings(settings);
+  panelSizeSelect.value = st.panelSize;
+  replaceIntervalInput.value = st.replaceInterval;
+  layoutSelect.value = st.layout;
+  visiblePanels = st.visiblePanels;
+  visiblePanelsInput.value = st.visiblePanels;
+  fitModeSelect.value = st.fit;
+  sequenceModeSelect.value = st.sequence;
+  skyIntervalInput.value = st.skyInterval;
+  videoMaxInput.value = st.videoMaxSec;
+  videoSoundInput.checked = st.videoSound;
+  transitionSelect.value = st.transition;
+  transitionSecInput.value = st.transitionSec;
+  easingSelect.value = st.easing;
+  musicCrossfadeInput.value = st.musicCrossfade;
+  beatSyncInput.checked = st.beatSync;
+  captionModeSelect.value = st.captions;
+  environmentSelect.value = st.environment;
+  panelFrameSelect.value = st.frame;
+  panelShadowsInput.checked = st.shadows;
+}
 
-    // Build unused list: images not currently displayed
-    let unused = metaList.filter(m => !currentlyDisplayedIds.includes(m.id));
+function renderPlaylistSelect(){
+  playlistSelect.innerHTML = '';
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = 'All images (library)';
+  playlistSelect.appendChild(all);
+  savedPlaylists.forEach(pl => {
+    const opt = document.createElement('option');
+    opt.value = pl.id;
+    opt.textContent = `${pl.name} (${pl.itemIds.length})`;
+    playlistSelect.appendChild(opt);
+  });
+  playlistSelect.value = activePlaylist ? activePlaylist.id : '';
+  const hasActive = !!activePlaylist;
+  renamePlaylistBtn.disabled = !hasActive;
+  deletePlaylistBtn.disabled = !hasActive;
+}
 
-    // If unused is empty (all images are currently displayed), allow reuse by using full list
-    if(unused.length === 0){
-      unused = metaList.slice();
+function selectPlaylist(id){
+  activePlaylist = savedPlaylists.find(pl => pl.id === id) || null;
+  try { localStorage.setItem(ACTIVE_PLAYLIST_KEY, activePlaylist ? activePlaylist.id : ''); } catch(e){}
+  if(activePlaylist) applySettingsToUi(activePlaylist.settings);
+  renderPlaylistSelect();
+  rebuildThumbs();
+  updateSelectionStatus();
+}
+
+async function restorePlaylists(){
+  try {
+    savedPlaylists = library.isAvailable() ? await library.loadAllPlaylists() : [];
+  } catch(err){
+    savedPlaylists = [];
+    log('Playlist restore error: ' + (err && err.message ? err.message : err));
+  }
+  let lastId = '';
+  try { lastId = localStorage.getItem(ACTIVE_PLAYLIST_KEY) || ''; } catch(e){}
+  selectPlaylist(lastId);
+}
+
+function removeFromPlaylist(index){
+  if(!activePlaylist) return;
+  // index is into showList(); map back to the stored id list (which may hold ids no longer in the library)
+  const meta = showList()[index];
+  const pos = meta ? activePlaylist.itemIds.indexOf(meta.id) : -1;
+  if(pos < 0) return;
+  activePlaylist.itemIds.splice(pos,1);
+  activePlaylist.updatedAt = Date.now();
+  persistPlaylist(activePlaylist);
+  renderPlaylistSelect();
+  rebuildThumbs();
+  updateSelectionStatus();
+  if(sequencer) sequencer.setItems(panelList());
+}
+
+function movePlaylistItem(fromIndex, toIndex){
+  if(!activePlaylist) return;
+  const list = showList();
+  if(!list[fromIndex] || !list[toIndex]) return;
+  const ids = activePlaylist.itemIds;
+  if(!playlists.moveItem(activePlaylist, ids.indexOf(list[fromIndex].id), ids.indexOf(list[toIndex].id))) return;
+  persistPlaylist(activePlaylist);
+  rebuildThumbs();
+}
+
+function newPlaylist(){
+  const name = window.prompt('Playlist name:', `Show ${savedPlaylists.length + 1}`);
+  if(name === null) return;
+  // start from what is on screen now: the library, or a copy of the active playlist
+  const pl = playlists.createPlaylist(name, showList().map(m => m.id), readSettingsFromUi());
+  savedPlaylists.push(pl);
+  persistPlaylist(pl);
+  selectPlaylist(pl.id);
+}
+
+function renamePlaylist(){
+  if(!activePlaylist) return;
+  const name = window.prompt('Rename playlist:', activePlaylist.name);
+  if(name === null || !name.trim()) return;
+  activePlaylist.name = name.trim();
+  activePlaylist.updatedAt = Date.now();
+  persistPlaylist(activePlaylist);
+  renderPlaylistSelect();
+  updateSelectionStatus();
+}
+
+async function deletePlaylist(){
+  if(!activePlaylist) return;
+  if(!window.confirm(`Delete playlist "${activePlaylist.name}"? Its images stay in the library.`)) return;
+  const id = activePlaylist.id;
+  savedPlaylists = savedPlaylists.filter(pl => pl.id !== id);
+  try {
+    if(library.isAvailable()) await library.removePlaylist(id);
+  } catch(err){
+    log('Playlist delete error: ' + (err && err.message ? err.message : err));
+  }
+  selectPlaylist('');
+}
+
+async function exportPlaylist(embed){
+  const pl = activePlaylist || { name: 'Library', settings: readSettingsFromUi() };
+  let metas = showList();
+  if(!metas.length){ log('Nothing to export: the selection is empty.'); return; }
+  if(embed){
+    // clips are embedded as the clip itself, not the poster frame
+    try {
+      metas = await Promise.all(metas.map(async m => m.kind === 'video'
+        ? Object.assign({}, m, { dataUrl: await importLib.fileToDataURL(await (await fetch(m.url)).blob()) })
+        : m));
+    } catch(err){
+      log('Export failed: ' + (err && err.message ? err.message : err));
+      return;
     }
+  }
+  const manifest = playlists.buildManifest(pl, metas, { embed });
+  playlists.downloadJson(`${playlists.slugify(pl.name)}.${embed ? 'bundle' : 'playlist'}.json`, manifest);
+}
+
+// Library image matching a manifest entry that has no embedded data
+function findLibraryMatch(entry){
+  return metaList.find(m => m.name === entry.name && m.width === entry.width && m.height === entry.height)
+    || metaList.find(m => m.name === entry.name)
+    || null;
+}
 
-    // pick a random candidate from unused
-    const nextMeta = unused[Math.floor(Math.random()*unused.length)];
+async function importPlaylistFile(file){
+  let manifest;
+  try {
+    manifest = JSON.parse(await file.text());
+  } catch(err){
+    log(`Import failed: ${file.name} is not valid JSON (${err && err.message ? err.message : err})`);
+    return;
+  }
+  const errors = playlists.validateManifest(manifest);
+  if(errors.length){
+    log(`Import failed: ${file.name}: ` + errors.join('; '));
+    return;
+  }
 
-    // Swap with fade, update dataset.metaId and displayedSet
+  statusEl.textContent = `Importing playlist "${manifest.name}"...`;
+  const itemIds = [];
+  const missing = [];
+  for(const entry of manifest.images){
     try {
-      const mesh = old.getObject3D('mesh');
-      if(mesh && mesh.material){
-        mesh.material.transparent = true;
-        const start = performance.now();
-        const from = mesh.material.opacity !== undefined ? mesh.material.opacity : 1;
-        (function fadeOut(now){
-          const t = (now - start) / 600;
-          mesh.material.opacity = Math.max(0, from * (1 - t));
-          if(t < 1) requestAnimationFrame(fadeOut);
-          else {
-            // old meta id
-            const oldMetaId = old.dataset && old.dataset.metaId ? old.dataset.metaId : null;
-
-            // update displayedSet
-            if(oldMetaId && displayedSet.has(oldMetaId)) displayedSet.delete(oldMetaId);
-            if(nextMeta && nextMeta.id) displayedSet.add(nextMeta.id);
-
-            // set the new attribute and dataset id
-            if(nextMeta && nextMeta.id){
-              old.setAttribute('curved-panel', `src: #${nextMeta.id}`);
-              old.dataset.metaId = nextMeta.id;
-            }
-
-            // directly assign cached texture if available for instant swap
-            try {
-              const tex = textureCache[nextMeta.id];
-              if(tex && mesh.material){
-                mesh.material.map = tex;
-                mesh.material.needsUpdate = true;
-              }
-            } catch(e){}
-
-            // fade in
-            const startIn = performance.now();
-            (function fadeIn(nowIn){
-              const ti = (nowIn - startIn)/600;
-              mesh.material.opacity = Math.min(1, ti);
-              if(ti < 1) requestAnimationFrame(fadeIn);
-            }(startIn));
-          }
-        }(start));
+      if(entry.data){
+        // bundles carry their images; reuse an identical library image if we already have it
+        const existing = findLibraryMatch(entry);
+        if(existing && existing.width === entry.width && existing.height === entry.height){ itemIds.push(existing.id); continue; }
+        const blob = await (await fetch(entry.data)).blob();
+        const meta = await importMediaBlob(blob, { name: entry.name, type: entry.type, caption: entry.caption, takenAt: entry.takenAt, dwell: entry.dwell });
+        itemIds.push(meta.id);
+      } else {
+        const match = findLibraryMatch(entry);
+        if(match) itemIds.push(match.id); else missing.push(entry.name);
       }
-    } catch(e){ console.warn('Replace panel failed', e); }
-  }
-
-  // wait for assets loaded AND create THREE.Texture for each <img> in aAssets into textureCache (REV 2.4 CHECKPOINT C)
-  function waitForAssetsAndCreateTextures(){
-    const imgs = Array.from(aAssets.querySelectorAll('img'));
-    // Wait until each image element is complete
-    const loads = imgs.map(img => new Promise((resolve) => {
-      if(img.complete && img.naturalWidth > 0) return resolve(img);
-      img.onload = () => resolve(img);
-      img.onerror = () => resolve(img); // still resolve on error to not block
-    }));
-    return Promise.all(loads).then(loadedImgs => {
-      // create textures and store in cache
-      loadedImgs.forEach(img => {
-        if(!img || !img.id) return;
-        try {
-          const tex = new THREE.Texture(img);
-          try {
-            const sc = document.querySelector('a-scene');
-            const renderer = sc && sc.renderer;
-            const maxAniso = renderer && renderer.capabilities ? renderer.capabilities.getMaxAnisotropy() : DESIRED_ANISOTROPY;
-            tex.anisotropy = Math.min(DESIRED_ANISOTROPY, maxAniso || DESIRED_ANISOTROPY);
-          } catch(e){ tex.anisotropy = DESIRED_ANISOTROPY; }
-          tex.encoding = THREE.sRGBEncoding;
-          tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.minFilter = THREE.LinearMipmapLinearFilter;
-          tex.magFilter = THREE.LinearFilter;
-          tex.generateMipmaps = true;
-          tex.needsUpdate = true;
-          textureCache[img.id] = tex;
-        } catch(e){
-          console.warn('texture creation failed for', img.id, e);
+    } catch(err){
+      missing.push(`${entry.name} (${err && err.message ? err.message : err})`);
+    }
+  }
+
+  let name = manifest.name.trim();
+  if(savedPlaylists.some(pl => pl.name === name)) name += ' (imported)';
+  const pl = playlists.createPlaylist(name, itemIds, manifest.settings);
+  savedPlaylists.push(pl);
+  await persistPlaylist(pl);
+  selectPlaylist(pl.id);
+  updateLibraryUsage();
+
+  if(missing.length) log(`Imported "${name}" with ${itemIds.length} of ${manifest.images.length} images. Not found in library: ` + missing.join(', '));
+  else clearLog();
+}
+
+playlistSelect.addEventListener('change', ()=> selectPlaylist(playlistSelect.value));
+newPlaylistBtn.addEventListener('click', newPlaylist);
+renamePlaylistBtn.addEventListener('click', renamePlaylist);
+deletePlaylistBtn.addEventListener('click', deletePlaylist);
+exportPlaylistBtn.addEventListener('click', ()=> exportPlaylist(false));
+exportBundleBtn.addEventListener('click', ()=> exportPlaylist(true));
+importPlaylistInput.addEventListener('change', async ()=>{
+  const file = importPlaylistInput.files && importPlaylistInput.files[0];
+  importPlaylistInput.value = '';
+  if(file) await importPlaylistFile(file);
+});
+visiblePanelsInput.addEventListener('change', ()=>{
+  const n = Math.round(parseFloat(visiblePanelsInput.value));
+  visiblePanels = isFinite(n) ? Math.max(1, Math.min(MAX_VISIBLE_PANELS, n)) : VISIBLE_PANELS;
+  visiblePanelsInput.value = visiblePanels;
+});
+// settings edited while a playlist is active are saved with it
+function saveActiveSettings(){
+  if(!activePlaylist) return;
+  activePlaylist.settings = readSettingsFromUi();
+  activePlaylist.updatedAt = Date.now();
+  persistPlaylist(activePlaylist);
+}
+[panelSizeSelect, replaceIntervalInput, layoutSelect, visiblePanelsInput, fitModeSelect, sequenceModeSelect, skyIntervalInput, videoMaxInput, videoSoundInput, transitionSelect, transitionSecInput, easingSelect, musicCrossfadeInput, beatSyncInput, captionModeSelect, environmentSelect, panelFrameSelect, panelShadowsInput].forEach(input => input.addEventListener('change', saveActiveSettings));
+
+// Curved panel component (textures come from the texture manager)
+AFRAME.registerComponent('curved-panel', {
+  schema: {
+    width: { type: 'number', default: 1.2 },
+    height: { type: 'number', default: 0.8 },
+    curvature: { type: 'number', default: PANEL_CURVATURE },
+    segmentsW: { type: 'int', default: 48 },
+    segmentsH: { type: 'int', default: 12 },
+    src: { type: 'string', default: '' },
+    fit: { type: 'string', default: 'contain', oneOf: ['contain', 'cover', 'stretch'] },
+    letterbox: { type: 'color', default: '#111' }
+  },
+  init: function(){
+    const data = this.data;
+    const el = this.el;
+    const width = data.width;
+    const height = data.height;
+    const segW = Math.max(4, data.segmentsW);
+    const segH = Math.max(1, data.segmentsH);
+
+    const geom = envLib.bendPlaneGeometry(width, height, data.curvature, segW, segH);
+
+    // keep the untouched UVs; fit modes remap from these
+    this.baseUv = Float32Array.from(geom.attributes.uv.array);
+
+    const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, transparent: true, opacity: 1 });
+    // Letterbox: UVs outside 0..1 (contain mode) are painted a flat colour instead of smearing the edge texels
+    const letterboxUniform = { value: new THREE.Color(data.letterbox) };
+    // Blend: during crossfade/dissolve transitions the previous texture is mixed in on top (see setBlend)
+    const blendUniforms = {
+      blendMap: { value: null },
+      blendAmount: { value: 0 },
+      blendUvScale: { value: new THREE.Vector2(1, 1) },
+      blendDissolve: { value: 0 }
+    };
+    mat.onBeforeCompile = function(shader){
+      shader.uniforms.letterboxColor = letterboxUniform;
+      Object.assign(shader.uniforms, blendUniforms);
+      shader.fragmentShader = [
+        'uniform vec3 letterboxColor;',
+        'uniform sampler2D blendMap;',
+        'uniform float blendAmount;',
+        'uniform vec2 blendUvScale;',
+        'uniform float blendDissolve;'
+      ].join('\n') + '\n' + shader.fragmentShader.replace('#include <map_fragment>', [
+        '#include <map_fragment>',
+        '#ifdef USE_MAP',
+        '  if ( vMapUv.x < 0.0 || vMapUv.x > 1.0 || vMapUv.y < 0.0 || vMapUv.y > 1.0 ) diffuseColor.rgb = letterboxColor;',
+        '  if ( blendAmount > 0.0 ) {',
+        '    vec2 blendUv = 0.5 + ( vMapUv - 0.5 ) * blendUvScale;',
+        '    vec3 blendColor = ( blendUv.x < 0.0 || blendUv.x > 1.0 || blendUv.y < 0.0 || blendUv.y > 1.0 ) ? letterboxColor : texture2D( blendMap, blendUv ).rgb;',
+        '    float k = blendAmount;',
+        '    if ( blendDissolve > 0.5 ) {',
+        '      float noise = fract( sin( dot( floor( vMapUv * vec2( 40.0, 28.0 ) ), vec2( 12.9898, 78.233 ) ) ) * 43758.5453 );',
+        '      k = smoothstep( noise - 0.05, noise + 0.05, blendAmount );',
+        '    }',
+        '    diffuseColor.rgb = mix( diffuseColor.rgb, blendColor, k );',
+        '  }',
+        '#endif'
+      ].join('\n'));
+    };
+    const mesh = new THREE.Mesh(geom, mat);
+    el.setObject3D('mesh', mesh);
+
+    this.mesh = mesh;
+    this.texture = null;
+    this.letterboxUniform = letterboxUniform;
+    this.blendUniforms = blendUniforms;
+  },
+  update: function(oldData){
+    if(oldData.src !== this.data.src && this.data.src){
+      this.loadTexture(this.data.src);
+    }
+    if(oldData.fit !== undefined && oldData.fit !== this.data.fit) this.applyFit();
+    if(oldData.letterbox !== undefined && oldData.letterbox !== this.data.letterbox) this.letterboxUniform.value.set(this.data.letterbox);
+  },
+  // Assign a texture to the panel and fit it to the panel's aspect
+  setTexture: function(tex){
+    if(this.mesh && this.mesh.material){ this.mesh.material.map = tex; this.mesh.material.needsUpdate = true; }
+    this.texture = tex;
+    this.applyFit();
+  },
+  // Remap UVs so the image keeps its aspect: contain (letterbox), cover (crop) or stretch
+  applyFit: function(){
+    if(!this.mesh || !this.baseUv) return;
+    const rect = fitUvScale(this.data.fit, this.data.width / this.data.height, textureAspect(this.texture));
+    const uv = this.mesh.geometry.attributes.uv;
+    for(let i=0;i<uv.count;i++){
+      uv.setXY(i, 0.5 + (this.baseUv[i*2] - 0.5) * rect.u, 0.5 + (this.baseUv[i*2+1] - 0.5) * rect.v);
+    }
+    uv.needsUpdate = true;
+  },
+  // Show `tex` (fitted with its own aspect) mixed over the current texture; amount 0 turns the blend off
+  setBlend: function(tex, amount, dissolve){
+    const u = this.blendUniforms;
+    if(!tex || !(amount > 0)){ u.blendMap.value = null; u.blendAmount.value = 0; return; }
+    const panelAspect = this.data.width / this.data.height;
+    const cur = fitUvScale(this.data.fit, panelAspect, textureAspect(this.texture));
+    const prev = fitUvScale(this.data.fit, panelAspect, textureAspect(tex));
+    u.blendMap.value = tex;
+    u.blendAmount.value = Math.min(1, amount);
+    u.blendUvScale.value.set(prev.u / cur.u, prev.v / cur.v);
+    u.blendDissolve.value = dissolve ? 1 : 0;
+  },
+  remove: function(){ if(this.mesh) this.el.removeObject3D('mesh'); },
+  loadTexture: function(src){
+    const self = this;
+    try {
+      if(typeof src === 'string' && src.charAt(0) === '#'){
+        const id = src.slice(1);
+        // texture manager builds it from the <img>/<video> asset (or hands back the resident one)
+        const tex = textures.acquire(id);
+        if(tex){
+          self.setTexture(tex);
+          return;
         }
-      });
+      }
+    } catch(e){ console.warn('DOM texture path failed', e); }
+
+    // a plain URL: load it directly (with progress; a placeholder and a logged error if it fails)
+    self.setTexture(loadUrlTexture(src, null));
+  }
+});
+
+// Texture manager factory: THREE texture for an a-assets <img>/<video>; null when the asset is gone
+function createTextureForAsset(id){
+  const el = document.getElementById(id);
+  if(!el){
+    const meta = metaById(id);
+    return meta && meta.remote ? loadUrlTexture(meta.dataUrl, meta) : null;
+  }
+  if(el.tagName === 'VIDEO'){
+    // clips: VideoTexture updates itself every frame while the element plays
+    const tex = new THREE.VideoTexture(el);
+    tex.encoding = THREE.sRGBEncoding;
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.minFilter = THREE.LinearFilter;
+    tex.magFilter = THREE.LinearFilter;
+    tex.generateMipmaps = false;
+    return tex;
+  }
+  if(el.tagName !== 'IMG') return null;
+  const tex = configureImageTexture(new THREE.Texture(el));
+  if(el.complete && el.naturalWidth > 0) tex.needsUpdate = true;
+  else el.addEventListener('load', ()=>{ tex.needsUpdate = true; }, { once: true });
+  return tex;
+}
+function configureImageTexture(tex){
+  try { const renderer = scene.renderer; const maxAniso = renderer && renderer.capabilities ? renderer.capabilities.getMaxAnisotropy() : DESIRED_ANISOTROPY; tex.anisotropy = Math.min(DESIRED_ANISOTROPY, maxAniso || DESIRED_ANISOTROPY); } catch(e){ tex.anisotropy = DESIRED_ANISOTROPY; }
+  tex.encoding = THREE.sRGBEncoding;
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.generateMipmaps = true;
+  return tex;
+}
+
+// Images loaded from a URL (hosted shows): FileLoader fetches with byte progress, TextureLoader decodes.
+// The texture comes back at once and fills in when the image arrives; on failure it shows the
+// placeholder and the error is logged with the image's name.
+const urlLoads = new Map();  // url -> { loaded, total, done, failed, promise }
+let urlLoadWait = null;      // urls the Start button is waiting for (progress goes to the status line)
+function loadUrlTexture(url, meta){
+  const tex = configureImageTexture(new THREE.Texture());
+  const state = { loaded: 0, total: 0, done: false, failed: false, promise: null };
+  state.promise = new Promise(resolve => {
+    function fail(err){
+      state.done = state.failed = true;
+      log(`Image failed: ${meta ? meta.name : url} (${err && err.message ? err.message : 'could not be loaded'})`);
+      tex.image = generatePlaceholderCanvas(512, 512);
+      tex.needsUpdate = true;
+      resolve();
+    }
+    const files = new THREE.FileLoader();
+    files.setResponseType('blob');
+    files.load(url, blob => {
+      const objectUrl = URL.createObjectURL(blob);
+      new THREE.TextureLoader().load(objectUrl, loaded => {
+        URL.revokeObjectURL(objectUrl);
+        tex.image = loaded.image;
+        tex.needsUpdate = true;
+        state.done = true;
+        state.loaded = state.total = state.total || blob.size;
+        resolve();
+      }, undefined, ()=>{ URL.revokeObjectURL(objectUrl); fail(new Error('not an image this browser can decode')); });
+    }, evt => {
+      state.loaded = evt.loaded;
+      if(evt.lengthComputable) state.total = evt.total;
+      updateUrlLoadProgress();
+    }, fail);
+  }).then(()=> onUrlTextureLoaded(tex, meta));
+  urlLoads.set(url, state);
+  return tex;
+}
+// Hosted manifests may leave out the size: take it from the image, and re-fit any panel showing it
+function onUrlTextureLoaded(tex, meta){
+  const img = tex.image;
+  if(meta && !meta.width && img && img.width && !(img instanceof HTMLCanvasElement)){ meta.width = img.width; meta.height = img.height; }
+  panelEntities.forEach(e => { const p = e.components && e.components['curved-panel']; if(p && p.texture === tex) p.applyFit(); });
+  const r = scene.renderer;
+  if(r && r.initTexture) r.initTexture(tex);
+  updateUrlLoadProgress();
+}
+function updateUrlLoadProgress(){
+  if(!urlLoadWait) return;
+  const states = urlLoadWait.map(u => urlLoads.get(u)).filter(Boolean);
+  const done = states.filter(st => st.done).length;
+  const loaded = states.reduce((n, st)=> n + st.loaded, 0);
+  const total = states.reduce((n, st)=> n + st.total, 0);
+  statusEl.textContent = `Loading show images: ${done} of ${states.length}` + (total ? ` (${Math.round(100 * loaded / total)}%)` : '') + '...';
+}
+// Resolve once the hosted images now on panels have loaded (or failed)
+async function waitForUrlTextures(){
+  const urls = panelEntities.map(e => metaById(e.dataset.metaId)).filter(m => m && m.remote && m.kind !== 'video').map(m => m.dataUrl);
+  urlLoadWait = Array.from(new Set(urls)).filter(u => urlLoads.has(u));
+  updateUrlLoadProgress();
+  await Promise.all(urlLoadWait.map(u => urlLoads.get(u).promise));
+  urlLoadWait = null;
+}
+
+// Keep displayed, upcoming and background textures resident; upload the next few ahead of their swap
+function prefetchUpcoming(){
+  if(!sequencer || currentViewMode === 'gallery') return;
+  const displayedIds = panelEntities.map(e => e.dataset.metaId).filter(Boolean);
+  const upcomingIds = sequencer.peek(PREFETCH_COUNT, displayedIds).map(m => m.id);
+  textures.retain(displayedIds.concat(upcomingIds, currentSkyId ? [currentSkyId] : []));
+  textures.prefetch(upcomingIds);
+}
+
+// Width/height of whatever backs a texture (img, canvas, bitmap, video); 0 when unknown
+function textureAspect(tex){
+  const img = tex && tex.image;
+  if(!img) return 0;
+  const w = img.naturalWidth || img.videoWidth || img.width || 0;
+  const h = img.naturalHeight || img.videoHeight || img.height || 0;
+  return w && h ? w / h : 0;
+}
+
+// UV scale around the centre (image uv = 0.5 + (panel uv - 0.5) * scale) for a fit mode.
+// Scales > 1 run past the image edge (letterbox), < 1 crop into it.
+function fitUvScale(fit, panelAspect, imageAspect){
+  if(fit === 'stretch' || !panelAspect || !imageAspect) return { u: 1, v: 1 };
+  const r = imageAspect / panelAspect; // > 1: image is wider than the panel
+  if(fit === 'cover') return r > 1 ? { u: 1/r, v: 1 } : { u: 1, v: r };
+  return r > 1 ? { u: 1, v: r } : { u: 1/r, v: 1 };
+}
+
+// helper to generate a simple placeholder checkerboard canvas
+function generatePlaceholderCanvas(w, h){
+  const cvs = document.createElement('canvas'); cvs.width = w; cvs.height = h; const ctx = cvs.getContext('2d');
+  ctx.fillStyle = '#666'; ctx.fillRect(0,0,w,h);
+  ctx.fillStyle = '#999';
+  const size = 32; for(let y=0;y<h;y+=size){ for(let x=0;x<w;x+=size){ if(((x+y)/size|0)%2===0){ ctx.fillRect(x,y,size,size); } }}
+  return cvs;
+}
+
+// Panel dimensions (metres) for an image at the chosen panel height, keeping the image's aspect:
+// wide panoramas get shorter rather than squashed; extreme aspects fall back to the fit mode
+function panelSizeForMeta(meta, panelHeight){
+  const aspect = meta.width && meta.height ? meta.width / meta.height : 1.5;
+  let height = Math.max(0.5, panelHeight);
+  let width = height * aspect;
+  if(width > MAX_PANEL_WIDTH){ width = MAX_PANEL_WIDTH; height = width / aspect; }
+  width = Math.max(MIN_PANEL_WIDTH, width);
+  return { width, height };
+}
+
+// Create curved panel entity using provided meta and store metaId on dataset (REV 2.4 CHECKPOINT B)
+// size: { width, height }; placement: { yawDeg, elevationDeg } from the layout engine
+function createCurvedPanelForMeta(meta, size, placement){
+  const { width, height } = size;
+  const pos = layout.positionFromAngles(placement.yawDeg, placement.elevationDeg, comfort.distance, panelEyeHeight);
+  const ent = document.createElement('a-entity');
+  ent.setAttribute('position', `${pos.x} ${pos.y} ${pos.z}`);
+  ent.setAttribute('rotation', `0 ${-pos.theta * 180/Math.PI} 0`);
+  ent.setAttribute('curved-panel', `width: ${width}; height: ${height}; curvature: ${PANEL_CURVATURE}; fit: ${currentFit}; src: #${meta.id}`);
+  ent.setAttribute('look-at', '#camera');
+  ent.setAttribute('panel-interactive', { reducedMotion: comfort.reducedMotion });
+  ent.setAttribute('panel-transition', comfortLib.comfortTransition(currentTransition, comfort));
+  ent.setAttribute('panel-caption', Object.assign({ text: captionsLib.captionText(meta, currentCaptions), width, panelHeight: height, frame: envLib.frameWidth(currentFrame) }, captionStyle()));
+  if(currentFrame !== 'none' || currentShadows) ent.setAttribute('panel-frame', { style: currentFrame, shadow: currentShadows, width, height, curvature: PANEL_CURVATURE });
+  // Save metaId on DOM dataset for robust retrieval later (interaction flags live alongside it)
+  ent.dataset.metaId = meta.id;
+  ent.dataset.yawDeg = String(pos.yawDeg);
+  ent.dataset.elevationDeg = String(pos.elevationDeg);
+  return ent;
+}
+
+// 360° backgrounds rotate on their own timer, independent of panel replacement
+function showNextSky(){
+  if(!skySequencer) return;
+  const meta = skySequencer.next();
+  if(meta && showSky(meta)) syncSend({ type: 'sky', name: meta.name });
+}
+function showSky(meta){
+  if(!skyBackdrop || !skyBackdrop.components['sky-crossfade']) return false;
+  const tex = textures.acquire(meta.id);
+  if(!tex){ console.warn('No texture for background', meta.id); return false; }
+  currentSkyId = meta.id;
+  skyBackdrop.components['sky-crossfade'].show(tex);
+  // the 360° photo is the surroundings now (a gallery room or stars would stand in front of it)
+  environmentEl.setAttribute('visible', false);
+  prefetchUpcoming();
+  return true;
+}
+function startSkyRotation(){
+  const skies = skyList();
+  skySequencer = skies.length ? sequencerLib.createSequencer({ mode: currentSequenceMode === 'weighted' ? 'shuffle' : currentSequenceMode, items: skies, random: randomLib.createRandom(showSeed + 3) }) : null;
+  currentSkyId = null;
+  if(!skySequencer){
+    if(skyBackdrop && skyBackdrop.components['sky-crossfade']) skyBackdrop.components['sky-crossfade'].clear();
+    environmentEl.setAttribute('visible', true);
+    return;
+  }
+  showNextSky();
+  startSkyTimer();
+}
+function startSkyTimer(){
+  scheduler().cancel('sky');
+  if(!skySequencer || skyList().length < 2) return;
+  scheduler().schedule('sky', {
+    delay: ()=> Math.max(5, parseFloat(skyIntervalInput.value) || 30),
+    onDue: ()=>{ try { showNextSky(); } catch(e){ log('Background error: ' + e); } }
+  });
+}
+
+// Surroundings and panel frames (js/environments.js); the 2D gallery wall only takes the frames
+function applyEnvironment(){
+  environmentEl.setAttribute('slideshow-environment', 'preset', currentEnvironment);
+  environmentEl.setAttribute('visible', true);
+}
+function applyGalleryFrames(){
+  galleryWallEl.dataset.frame = currentFrame;
+  galleryWallEl.classList.toggle('shadows', currentShadows);
+}
+// Comfort options the scene shows outside the panels: message size and contrast, gallery captions
+function applyComfort(){
+  vrDebugEl.setAttribute('scale', `${comfort.textScale} ${comfort.textScale} ${comfort.textScale}`);
+  vrDebugEl.querySelector('a-plane').setAttribute('opacity', comfort.highContrast ? 1 : 0.8);
+  document.getElementById('vrDebugText').setAttribute('color', comfort.highContrast ? '#ffffff' : '#ffd47a');
+  galleryWallEl.classList.toggle('highContrast', comfort.highContrast);
+  galleryWallEl.style.setProperty('--caption-scale', String(comfort.textScale));
+}
+function captionStyle(){
+  return { opacity: comfort.highContrast ? 1 : 0.6, textScale: comfort.textScale };
+}
+// Point out the panel that just changed: an arrow at the edge of view and / or a ping from its direction
+function indicateSwap(ent){
+  const indicator = cameraEl.components['swap-indicator'];
+  if(!indicator || comfort.indicator === 'off' || currentViewMode === 'gallery') return;
+  const pos = new THREE.Vector3();
+  ent.object3D.getWorldPosition(pos);
+  indicator.point(pos, { arrow: comfort.indicator !== 'sound', sound: comfort.indicator !== 'arrow' });
+}
+// Bring the panels to the viewer's eye height and centre them on where the viewer is facing now
+// (sitting down after the show started, or turned away in a swivel chair)
+function recentreView(){
+  const cam = scene.camera;
+  if(!cam || currentViewMode === 'gallery') return;
+  const head = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+  cam.getWorldPosition(head);
+  cam.getWorldDirection(dir);
+  const obj = panelContainer.object3D;
+  obj.position.set(head.x, head.y - panelEyeHeight, head.z);
+  if(Math.hypot(dir.x, dir.z) > 1e-3) obj.rotation.set(0, Math.atan2(-dir.x, -dir.z), 0);
+}
+
+// The ambient environment takes its colour from the photo that last landed
+function featurePhoto(meta){
+  const env = environmentEl.components['slideshow-environment'];
+  if(!env || !meta || currentEnvironment !== 'ambient' || currentViewMode === 'gallery') return;
+  const tex = textures.get(meta.id);
+  if(tex && tex.image) env.feature(tex.image);
+}
+
+// "Slideshow running — shown N of M (cycle K)."
+function updateShowProgress(){
+  if(!sequencer) return;
+  const p = sequencer.progress();
+  statusEl.textContent = `Slideshow running — shown ${p.shown} of ${p.total}` + (p.cycle > 1 ? ` (cycle ${p.cycle}).` : '.');
+}
+
+// Build initial visible panels with uniqueness guarantee
+// opts.keepIds: rebuild mid-show (new panel size) with these images still up and the sequencer carried on
+// opts.slots: a synced follower building the presenter's panels ([{ name, width, height }], see followShow)
+async function buildPanels(panelHeight, opts){
+  const o = opts || {};
+  // clear old
+  videoCtl.stopAll();
+  panelEntities.forEach(e=>{ try{ e.parentNode.removeChild(e); }catch(e){} });
+  panelEntities = [];
+  gallery.clear();
+  displayedSet.clear();
+  swapHistory = [];
+
+  const list = panelList();
+  if(!list.length) return;
+  textures.setBudget((o.slots ? o.slots.length : visiblePanels) + PREFETCH_COUNT + 2);
+
+  let chosen = [];
+  if(o.slots){
+    // the presenter's images, by name; one this device lacks is stood in for by one of its own
+    const missing = [];
+    o.slots.forEach((slot, i) => {
+      const m = metaByName(slot.name);
+      if(!m) missing.push(slot.name);
+      chosen.push(m || list[i % list.length]);
+    });
+    if(missing.length) log(`${missing.length} image(s) of the presenter's show are not on this device: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''}`);
+  } else if(o.keepIds && sequencer){
+    o.keepIds.forEach(id => { const m = metaById(id); if(m && !chosen.includes(m) && list.includes(m)) chosen.push(m); });
+  } else {
+    // Fresh sequencer per show: history starts empty (REV 2.4 CHECKPOINT A, now tracked by js/sequencer.js)
+    sequencer = sequencerLib.createSequencer({
+      mode: currentSequenceMode,
+      items: list,
+      random: randomLib.createRandom(showSeed + 1),
+      onCycleComplete: info => scene.emit('cycle-complete', info)
     });
   }
 
-  // Start button handler (REV 2.4 CHECKPOINT D)
-  startBtn.addEventListener('click', async ()=>{
-    startBtn.disabled = true;
-    statusEl.textContent = 'Preparing slideshow — building textures...';
-    clearLog();
+  if(!o.slots){
+    // Take up to visiblePanels unique images for initial display (these count as shown),
+    // and if we have fewer than visiblePanels images, duplicate fairly until filled
+    chosen = sequencerLib.fillPanels(sequencer, visiblePanels, list.length, chosen);
+  }
 
-    if(!metaList.length){ statusEl.textContent = 'Select at least 1 image first.'; startBtn.disabled = false; return; }
+  // Followers lay out the presenter's panel sizes with the presenter's seed, so they land in the same places
+  const sizes = o.slots ? o.slots.map(s => ({ width: s.width, height: s.height })) : chosen.map(m => panelSizeForMeta(m, panelHeight));
+  if(syncRole === 'presenter') presentShow(chosen, sizes);
 
-    const sizeKey = document.getElementById('panelSize').value || 'medium';
-    const panelHeight = DEFAULT_PANEL_HEIGHTS[sizeKey] || DEFAULT_PANEL_HEIGHTS.medium;
+  // Gallery wall: the same picks as tiles in a flat grid
+  if(currentViewMode === 'gallery'){
+    panelEntities = gallery.build(chosen.map(m => ({ meta: m, caption: captionsLib.captionText(m, currentCaptions) })), currentFit);
+    chosen.forEach((m,i)=>{ displayedSet.add(m.id); startPanelMedia(panelEntities[i], m); });
+    applyGalleryFrames();
+    return;
+  }
+
+  // Place all panels at once so strategies can account for every panel's size; seated viewing keeps them in front
+  const plan = comfortLib.comfortLayout(currentLayout, comfort);
+  const result = layout.computeLayout(plan.layout, sizes, Object.assign({
+    radius: comfort.distance,
+    bandElevationDeg: BAND_ELEVATION_DEG,
+    minSeparationDeg: MIN_ANGULAR_SEPARATION_DEG,
+    random: randomLib.createRandom(showSeed)
+  }, plan.options));
+  if(result.overlaps) console.warn(`Layout "${plan.layout}": ${result.overlaps} panel(s) could not be placed without overlap`);
 
-    try{
-      // Ensure DOM img assets are loaded and then create THREE.Textures for each -> textureCache
-      await waitForAssetsAndCreateTextures();
+  chosen.forEach((m,i)=>{
+    const size = { width: sizes[i].width * result.scale, height: sizes[i].height * result.scale };
+    const ent = createCurvedPanelForMeta(m, size, result.placements[i]);
+    panelContainer.appendChild(ent);
+    panelEntities.push(ent);
+    displayedSet.add(m.id);
+    startPanelMedia(ent, m);
+  });
+  prefetchUpcoming();
+  featurePhoto(chosen[0]);
+}
+
+// Re-read every panel's caption (after an edit, or when the caption mode changes)
+function refreshPanelCaptions(){
+  panelEntities.forEach(ent => {
+    const text = captionsLib.captionText(metaById(ent.dataset.metaId), currentCaptions);
+    if(currentViewMode === 'gallery') gallery.setCaption(ent, text);
+    else ent.setAttribute('panel-caption', 'text', text);
+  });
+}
+
+// Clips start playing when they land on a panel; the panel stays busy until the clip is done
+function startPanelMedia(ent, meta){
+  if(!meta || meta.kind !== 'video') return;
+  const videoEl = document.getElementById(meta.id);
+  if(videoEl) videoCtl.start(ent, videoEl);
+}
+
+// Replace one panel: the sequencer picks the image, the panel's transition animates the swap (REV 2.4 CHECKPOINT B)
+// forceIdx: replace that panel regardless of pin/enlarge state or a transition in progress (used by "skip")
+function replaceOnePanel(panelHeight, forceIdx){
+  if(!panelEntities.length || !panelList().length) return;
+
+  let idx;
+  if(typeof forceIdx === 'number'){
+    idx = forceIdx;
+    if(idx < 0 || idx >= panelEntities.length) return;
+  } else {
+    // pick a random panel index among those not pinned/enlarged/grabbed or mid-transition,
+    // and skip panels still playing a clip
+    idx = sequencerLib.pickPanelIndex(panelEntities, e => !isPanelLocked(e) && !isTransitioning(e) && !videoCtl.isBusy(e), showRandom);
+    if(idx < 0) return;
+  }
+  const old = panelEntities[idx];
+  const transition = old.components && old.components['panel-transition'];
+  // a skip mid-transition lands the running one first, so the panel's current image is settled
+  if(transition) transition.cancel();
+
+  // Recompute currently displayed ids (fresh); the sequencer avoids them when it can
+  const currentlyDisplayedIds = panelEntities.map(e => e.dataset.metaId).filter(Boolean);
+  const nextMeta = sequencer ? sequencer.next(currentlyDisplayedIds) : null;
+  if(!nextMeta) return;
+  updateShowProgress();
+  if(old.dataset.metaId){
+    swapHistory.push({ ent: old, metaId: old.dataset.metaId });
+    if(swapHistory.length > SWAP_HISTORY_MAX) swapHistory.shift();
+  }
+  swapPanel(old, nextMeta);
+}
+
+// Animate meta onto a panel: the transition calls swap() to update dataset.metaId, displayedSet and the texture
+function swapPanel(ent, meta){
+  const transition = ent.components && ent.components['panel-transition'];
+  dwellOverride = meta.dwell > 0 ? meta.dwell : null;
+  // sent now rather than from swap(), so followers start the same transition at the same moment
+  syncSend({ type: 'slide', panel: panelEntities.indexOf(ent), name: meta.name, at: Date.now() });
+  function swap(){
+    const oldMetaId = ent.dataset.metaId || null;
+    if(oldMetaId && displayedSet.has(oldMetaId)) displayedSet.delete(oldMetaId);
+    displayedSet.add(meta.id);
+
+    // a clip leaving the panel stops (its sound focus moves on)
+    videoCtl.stop(ent);
+
+    ent.dataset.metaId = meta.id;
+    if(currentViewMode === 'gallery'){
+      gallery.show(ent, meta, captionsLib.captionText(meta, currentCaptions), currentTransition.duration);
+    } else {
+      ent.setAttribute('curved-panel', `src: #${meta.id}`);
+      ent.setAttribute('panel-caption', 'text', captionsLib.captionText(meta, currentCaptions));
+
+      // directly assign the (prefetched) texture for an instant swap
+      try {
+        const tex = textures.acquire(meta.id);
+        const panel = ent.components['curved-panel'];
+        if(tex && panel) panel.setTexture(tex);
+      } catch(e){}
+    }
+    startPanelMedia(ent, meta);
+    if(meta.narrationUrl) soundtrack.playNarration(meta.narrationUrl);
+    prefetchUpcoming();
+    featurePhoto(meta);
+    indicateSwap(ent);
+    // for anything else that follows the show
+    scene.emit('slide-changed', { metaId: meta.id, previousId: oldMetaId, panelIndex: panelEntities.indexOf(ent), name: meta.name });
+  }
+
+  try {
+    if(transition) transition.run({ swap });
+    else swap();
+  } catch(e){ console.warn('Replace panel failed', e); }
+}
+
+// Undo the most recent swap still on screen (its panel may have been rebuilt away since)
+function previousSlide(){
+  while(swapHistory.length){
+    const h = swapHistory.pop();
+    const meta = metaById(h.metaId);
+    if(!meta || !panelEntities.includes(h.ent)) continue;
+    const t = h.ent.components && h.ent.components['panel-transition'];
+    if(t) t.cancel();
+    swapPanel(h.ent, meta);
+    return true;
+  }
+  return false;
+}
+function isTransitioning(ent){
+  const t = ent.components && ent.components['panel-transition'];
+  return !!(t && t.isRunning());
+}
+
+// Start button handler (REV 2.4 CHECKPOINT D)
+startBtn.addEventListener('click', async ()=>{
+  startBtn.disabled = true;
+  statusEl.textContent = 'Preparing slideshow — loading images...';
+  clearLog();
+
+  if(!showList().length){ statusEl.textContent = 'Select at least 1 image first.'; startBtn.disabled = false; return; }
+
+  currentViewMode = viewModes.isMode(viewModeSelect.value) ? viewModeSelect.value : 'vr';
+  // asked here, while the click still counts as a user gesture
+  if(currentViewMode === 'magic') viewModes.requestOrientationPermission().then(ok => { if(!ok) log('Motion access refused: drag to look around instead.'); });
+  applyViewMode(currentViewMode);
+
+  const sizeKey = panelSizeSelect.value || 'medium';
+  const panelHeight = DEFAULT_PANEL_HEIGHTS[sizeKey] || DEFAULT_PANEL_HEIGHTS.medium;
+  currentPanelHeight = panelHeight;
+  currentLayout = layoutSelect.value || 'scatter';
+  currentFit = fitModeSelect.value || 'contain';
+  currentSequenceMode = sequenceModeSelect.value || 'shuffle';
+  currentCaptions = captionModeSelect.value || 'caption';
+  currentEnvironment = environmentSelect.value || 'black';
+  currentFrame = panelFrameSelect.value || 'none';
+  currentShadows = panelShadowsInput.checked;
+  applyEnvironment();
+  applyComfort();
+  currentTransition = {
+    effect: transitionSelect.value || 'crossfade',
+    duration: Math.round(1000 * Math.max(0.2, Math.min(5, parseFloat(transitionSecInput.value) || 1.2))),
+    easing: easingSelect.value || 'easeInOut'
+  };
+  videoCtl.setMaxHold(Math.max(1, parseFloat(videoMaxInput.value) || 30));
+  videoCtl.setSound(videoSoundInput.checked);
+  showSeed = randomLib.newSeed();
+  showRandom = randomLib.createRandom(showSeed + 2);
+  if(!startSync()){ startBtn.disabled = false; return; }
+
+  try{
+    // Textures are created on demand from the DOM assets; just make sure the <img>s have decoded
+    await waitForAssetsLoaded();
+    // a follower builds its panels when the presenter's show arrives (followShow)
+    if(syncRole !== 'follower'){
       await buildPanels(panelHeight);
-    } catch(err){
-      log('Build panels error: ' + (err && err.message?err.message:err));
-      startBtn.disabled = false;
-      return;
+      if(hostedShow) await waitForUrlTextures();
     }
+  } catch(err){
+    log('Build panels error: ' + (err && err.message?err.message:err));
+    startBtn.disabled = false;
+    stopSync();
+    return;
+  }
 
-    document.getElementById('controls').style.display = 'none';
-    scene.style.display = 'block';
+  document.getElementById('controls').style.display = 'none';
+  if(currentViewMode === 'gallery') galleryWallEl.style.display = '';
+  else scene.style.display = 'block';
 
-    setTimeout(async ()=>{
+  setTimeout(async ()=>{
+    if(currentViewMode === 'vr'){
       try {
         await scene.enterVR();
       } catch(err){
-        log('Failed to enter VR: ' + (err && err.message?err.message:err));
+        log('Failed to enter VR: ' + (err && err.message?err.message:err) + ' — pick another "View on" mode to watch without a headset.');
         document.getElementById('controls').style.display = '';
         scene.style.display = 'none';
         startBtn.disabled = false;
+        stopSync();
         return;
       }
+    }
+
+    showRunning = true;
+    paused = false;
+    dwellOverride = null;
+    syncMenu();
+    soundtrack.setCrossfade(Math.max(0, parseFloat(musicCrossfadeInput.value) || 0));
+    soundtrack.setTracks(musicTracks);
+    soundtrack.start();
+    if(syncRole === 'follower'){
+      if(!panelEntities.length) log('Waiting for the presenter...');
+      return;
+    }
+    startReplaceTimer();
+    if(viewModes.is3d(currentViewMode)) startSkyRotation();
+    updateShowProgress();
+    clearLog();
+  }, 120);
+});
 
-      // Replacement interval - enforce 5 seconds unless user changes in UI
-      const interval = Math.max(1, parseFloat(document.getElementById('replaceInterval').value) || 5);
+// Camera setup per viewing mode: orientation tracking for magic window, mouse picking on desktop
+function applyViewMode(mode){
+  scene.setAttribute('vr-mode-ui', 'enabled', mode === 'vr');
+  cameraEl.setAttribute('look-controls', { magicWindowTrackingEnabled: mode === 'magic' });
+  cameraRig.object3D.rotation.y = 0;
+  // every show starts level and straight ahead; "Recentre view" moves the panels from there
+  const camPos = cameraEl.getAttribute('position');
+  panelEyeHeight = camPos ? camPos.y : 1.6;
+  panelContainer.object3D.position.set(0, 0, 0);
+  panelContainer.object3D.rotation.set(0, 0, 0);
+  if(mode === 'desktop'){
+    gazeCursor.setAttribute('cursor', { rayOrigin: 'mouse', fuse: false });
+    gazeCursor.setAttribute('raycaster', 'enabled', true);
+    gazeCursor.setAttribute('visible', false);
+  } else {
+    gazeCursor.setAttribute('cursor', { rayOrigin: 'entity', fuse: true });
+    // stays hidden if a controller already took over (see gaze-fallback)
+    gazeCursor.setAttribute('visible', gazeCursor.getAttribute('raycaster').enabled !== false);
+  }
+}
 
-      // Clear any previous timer then set new one
-      if(replaceTimer) clearInterval(replaceTimer);
-      replaceTimer = setInterval(()=> {
-        try { replaceOnePanel(panelHeight); } catch(e) { log('Replace error: ' + e); }
-      }, interval * 1000);
+// The show's timers count down on the scene clock and hold while the page or headset is away (js/scheduler.js)
+function scheduler(){ return scene.systems['slideshow-scheduler']; }
 
-      statusEl.textContent = 'Slideshow running.';
-      clearLog();
-    }, 120);
+// Panel swaps (re)start counting from now
+function startReplaceTimer(){
+  scheduler().schedule('panels', {
+    delay: nextSwapDelay,
+    onDue: ()=>{ try { replaceOnePanel(currentPanelHeight); } catch(e) { log('Replace error: ' + e); } }
   });
+}
+// Seconds until the next swap: the hold time of the image that just landed if it has one, else
+// replaceInterval, or in beat sync the next line of whole bars of the playing track (the bar count
+// closest to replaceInterval), aligned to the track's first beat
+function nextSwapDelay(){
+  if(dwellOverride) return dwellOverride;
+  const interval = Math.max(1, parseFloat(replaceIntervalInput.value) || 5);
+  const track = beatSyncInput.checked ? soundtrack.currentTrack() : null;
+  if(!track || !track.bpm) return interval;
+  const bars = audioLib.beatSyncedInterval(track.bpm, interval);
+  const sinceGrid = ((soundtrack.trackTime() - track.offset) % bars.seconds + bars.seconds) % bars.seconds;
+  const delay = bars.seconds - sinceGrid;
+  return delay < 0.05 ? delay + bars.seconds : delay;
+}
+// A new track has its own tempo: re-align the swaps to it
+function onMusicTrackChange(track){
+  if(showRunning && beatSyncInput.checked && track) scheduler().restart('panels');
+}
+function stopTimers(){
+  const sch = scheduler();
+  if(sch) sch.cancelAll();
+}
 
-  // waitForAssets: kept for compatibility
-  function waitForAssetsLoaded(){
-    const imgs = Array.from(aAssets.querySelectorAll('img'));
-    return Promise.all(imgs.map(img => new Promise((resolve)=>{
-      if(img.complete && img.naturalWidth>0) return resolve();
-      img.onload = ()=> resolve();
-      img.onerror = ()=> { log('Asset failed: ' + (img.id||'unknown')); resolve(); };
-    })));
+// Away from the show (tab hidden, headset menu open or headset off, VR left from the headset):
+// the music holds too. A pause from the menu leaves it playing. Clips hold on any pause.
+scene.addEventListener('scheduler-change', (evt)=>{
+  if(evt.detail.paused) videoCtl.pause();
+  else videoCtl.resume();
+  if(!showRunning) return;
+  if(evt.detail.reasons.some(r => r !== 'user')) soundtrack.pause();
+  else {
+    soundtrack.resume();
+    if(beatSyncInput.checked) scheduler().restart('panels');
   }
+});
+// Leaving immersive mode from the headset (rather than "Exit to setup") holds the show until VR is entered again
+scene.addEventListener('exit-vr', ()=>{ if(showRunning && currentViewMode === 'vr') scheduler().pause('exit-vr'); });
+scene.addEventListener('enter-vr', ()=> scheduler().resume('exit-vr'));
+
+// In-VR menu (see js/menu.js): the show is steered from inside the headset
+function syncMenu(){
+  const menu = vrMenuEl && vrMenuEl.components['vr-menu'];
+  gallery.setState({ paused, captions: currentCaptions !== 'off' });
+  if(!menu) return;
+  const size = Object.keys(DEFAULT_PANEL_HEIGHTS).find(k => DEFAULT_PANEL_HEIGHTS[k] === currentPanelHeight) || 'medium';
+  menu.setState({ paused, interval: Math.max(1, parseFloat(replaceIntervalInput.value) || 5), panelSize: size, captions: currentCaptions !== 'off' });
+}
+// Followers take the presenter's pause through here, without passing it back on
+function applyPaused(on){
+  paused = on;
+  if(paused) scheduler().pause('user');
+  else scheduler().resume('user');
+}
+function setPaused(on){
+  applyPaused(on);
+  syncSend({ type: 'pause', paused });
+}
+function stepInterval(dir){
+  const current = Math.max(1, parseFloat(replaceIntervalInput.value) || 5);
+  // next step up or down from whatever was typed on the setup page, clamped to the ends
+  const up = INTERVAL_STEPS.filter(s => s > current);
+  const down = INTERVAL_STEPS.filter(s => s < current);
+  replaceIntervalInput.value = dir > 0 ? (up[0] || INTERVAL_STEPS[INTERVAL_STEPS.length - 1]) : (down[down.length - 1] || INTERVAL_STEPS[0]);
+  saveActiveSettings();
+  scheduler().restart('panels');
+}
+async function setPanelSize(sizeKey){
+  const height = DEFAULT_PANEL_HEIGHTS[sizeKey];
+  if(!height || height === currentPanelHeight) return;
+  panelSizeSelect.value = sizeKey;
+  saveActiveSettings();
+  currentPanelHeight = height;
+  const keep = panelEntities.map(e => e.dataset.metaId).filter(Boolean);
+  await buildPanels(height, { keepIds: keep });
+  scheduler().restart('panels');
+}
+function toggleCaptions(){
+  if(currentCaptions !== 'off') lastCaptionMode = currentCaptions;
+  currentCaptions = currentCaptions === 'off' ? lastCaptionMode : 'off';
+  captionModeSelect.value = currentCaptions;
+  saveActiveSettings();
+  refreshPanelCaptions();
+  syncSend({ type: 'captions', mode: currentCaptions });
+}
+// Back to the setup page; selection, settings and library stay as they are for the next Start
+function exitToSetup(){
+  showRunning = false;
+  paused = false;
+  syncSend({ type: 'end' });
+  stopSync();
+  stopTimers();
+  scheduler().resume('user');
+  scheduler().resume('exit-vr');
+  soundtrack.stop();
+  videoCtl.stopAll();
+  panelEntities.forEach(e => { const t = e.components && e.components['panel-transition']; if(t) t.cancel(); });
+  if(scene.is('vr-mode')) scene.exitVR().catch(err => log('Exit VR error: ' + (err && err.message ? err.message : err)));
+  if(document.fullscreenElement && document.exitFullscreen) document.exitFullscreen().catch(()=>{});
+  scene.style.display = 'none';
+  galleryWallEl.style.display = 'none';
+  document.getElementById('controls').style.display = '';
+  startBtn.disabled = false;
+  updateSelectionStatus();
+  statusEl.textContent = 'Slideshow stopped. ' + statusEl.textContent;
+}
+
+// One place for show controls: the in-VR menu, the gallery toolbar and the keyboard all land here
+async function showAction(action, value){
+  if(!showRunning) return;
+  if(syncRole === 'follower' && FOLLOWER_LOCKED_ACTIONS.includes(action)){ log('The presenter runs this show.'); return; }
+  try {
+    if(action === 'pause') setPaused(!paused);
+    else if(action === 'next'){ replaceOnePanel(currentPanelHeight); scheduler().restart('panels'); }
+    else if(action === 'prev'){ if(previousSlide()) scheduler().restart('panels'); }
+    else if(action === 'interval') stepInterval(value);
+    else if(action === 'panel-size') await setPanelSize(value);
+    else if(action === 'captions') toggleCaptions();
+    else if(action === 'recentre') recentreView();
+    else if(action === 'exit'){ exitToSetup(); return; }
+  } catch(e){ log('Menu error: ' + e); }
+  syncMenu();
+}
+scene.addEventListener('menu-action', evt => { const d = evt.detail || {}; showAction(d.action, d.value); });
+
+// Keyboard outside the headset (desktop, magic window, gallery); see js/viewmodes.js for the keys
+document.addEventListener('keydown', (evt)=>{
+  if(!showRunning || scene.is('vr-mode') || evt.ctrlKey || evt.metaKey || evt.altKey) return;
+  if(evt.target && /^(INPUT|SELECT|TEXTAREA)$/.test(evt.target.tagName)) return;
+  const k = viewModes.keyAction(evt.key, currentViewMode);
+  if(!k) return;
+  evt.preventDefault();
+  if(k.turn) cameraRig.object3D.rotation.y += k.turn * Math.PI / 180;
+  else if(k.fullscreen) toggleFullscreen();
+  else showAction(k.action, k.value);
+});
+function toggleFullscreen(){
+  const target = currentViewMode === 'gallery' ? galleryWallEl : scene;
+  if(document.fullscreenElement) document.exitFullscreen().catch(()=>{});
+  else if(target.requestFullscreen) target.requestFullscreen().catch(err => log('Fullscreen error: ' + (err && err.message ? err.message : err)));
+}
+
+// Synced headsets (js/sync.js): the presenter sends what happens, followers do the same instead of running timers
+function syncSettings(){
+  return { role: syncRoleSelect.value, relay: syncRelayInput.value.trim(), room: syncRoomInput.value.trim() || 'default' };
+}
+// Connect for this show if a sync role is picked; false (with the reason logged) when it can't
+function startSync(){
+  stopSync();
+  const s = syncSettings();
+  if(s.role !== 'presenter' && s.role !== 'follower') return true;
+  const url = s.relay || syncLib.defaultRelayUrl(window.location);
+  if(!/^wss?:\/\//.test(url)){ log('Sync: enter the relay address (ws://... or wss://..., see README).'); return false; }
+  syncRole = s.role;
+  presenterOnline = false;
+  syncClient = syncLib.createSyncClient({ url, room: s.room, role: s.role, onMessage: onSyncMessage, onStatus: onSyncStatus });
+  return true;
+}
+function stopSync(){
+  if(syncClient) syncClient.close();
+  syncClient = null;
+  syncRole = 'off';
+  lastShowMsg = null;
+}
+function syncSend(msg){
+  if(syncRole === 'presenter' && syncClient) syncClient.send(msg);
+}
+function onSyncStatus(state, detail){
+  if(syncStatusEl) syncStatusEl.textContent = state === 'connected' ? 'Relay: connected' : state === 'connecting' ? 'Relay: connecting...' : `Relay: not connected (${detail})`;
+  if(state === 'disconnected'){
+    presenterOnline = false;
+    if(detail !== 'closed' && syncRole !== 'off') log(`Sync: ${detail}, reconnecting...`);
+  }
+}
+
+// Presenter: panels were (re)built; followers build the same from this
+function presentShow(chosen, sizes){
+  lastShowMsg = {
+    seed: showSeed,
+    settings: { layout: currentLayout, fit: currentFit, transition: currentTransition, environment: currentEnvironment, frame: currentFrame, shadows: currentShadows },
+    slots: chosen.map((m, i) => ({ name: m.name, width: sizes[i].width, height: sizes[i].height }))
+  };
+  syncSend(stateMessage());
+}
+// The show as built plus what is on it now, for every follower or (to) the one that just joined
+function stateMessage(to){
+  const current = panelEntities.map(e => { const m = metaById(e.dataset.metaId); return m ? m.name : null; });
+  const sky = currentSkyId ? metaById(currentSkyId) : null;
+  return Object.assign({ type: 'state', to }, lastShowMsg, { current, paused, captions: currentCaptions, sky: sky ? sky.name : null });
+}
+
+function onSyncMessage(msg){
+  if(msg.type === 'error'){ log('Sync: ' + msg.message); return; }
+  if(msg.type === 'peers'){
+    if(syncStatusEl) syncStatusEl.textContent = syncRole === 'presenter' ? `Relay: connected, ${msg.followers} follower(s)` : `Relay: connected, presenter ${msg.presenter ? 'online' : 'not here yet'}`;
+    if(syncRole === 'follower'){
+      // (re)joined presenter: ask for the show as it stands
+      if(msg.presenter && !presenterOnline) syncClient.send({ type: 'hello' });
+      if(!msg.presenter && !panelEntities.length) log('Waiting for the presenter...');
+      presenterOnline = !!msg.presenter;
+    }
+    return;
+  }
+  if(syncRole === 'presenter'){
+    if(msg.type === 'hello' && lastShowMsg) syncSend(stateMessage(msg.from));
+    return;
+  }
+  try {
+    if(msg.type === 'state') followShow(msg).catch(e => log('Sync error: ' + (e && e.message ? e.message : e)));
+    else if(msg.type === 'slide') followSlide(msg);
+    else if(msg.type === 'pause'){ applyPaused(!!msg.paused); syncMenu(); }
+    else if(msg.type === 'captions' && typeof msg.mode === 'string'){ currentCaptions = msg.mode; refreshPanelCaptions(); syncMenu(); }
+    else if(msg.type === 'sky'){ const meta = metaByName(msg.name); if(meta) showSky(meta); }
+    else if(msg.type === 'end'){
+      exitToSetup();
+      statusEl.textContent = 'The presenter ended the show. ' + statusEl.textContent;
+    }
+  } catch(e){ log('Sync error: ' + (e && e.message ? e.message : e)); }
+}
+
+// Follower: the presenter's images at the presenter's sizes, laid out with its seed, so in the same places
+async function followShow(msg){
+  if(!Array.isArray(msg.slots) || !msg.slots.length) return;
+  const settings = msg.settings || {};
+  showSeed = msg.seed >>> 0;
+  if(layout.STRATEGY_NAMES.includes(settings.layout)) currentLayout = settings.layout;
+  if(typeof settings.fit === 'string') currentFit = settings.fit;
+  if(settings.transition && typeof settings.transition === 'object') currentTransition = settings.transition;
+  if(envLib.ENVIRONMENTS.includes(settings.environment)) currentEnvironment = settings.environment;
+  if(envLib.FRAME_STYLES.includes(settings.frame)) currentFrame = settings.frame;
+  currentShadows = !!settings.shadows;
+  applyEnvironment();
+  if(typeof msg.captions === 'string') currentCaptions = msg.captions;
+  applyPaused(!!msg.paused);
+  const current = Array.isArray(msg.current) ? msg.current : [];
+  clearLog();
+  await buildPanels(currentPanelHeight, { slots: msg.slots.map((slot, i) => Object.assign({}, slot, { name: current[i] || slot.name })) });
+  if(msg.sky){ const meta = metaByName(msg.sky); if(meta) showSky(meta); }
+  syncMenu();
+}
+function followSlide(msg){
+  const ent = panelEntities[msg.panel];
+  const meta = metaByName(msg.name);
+  if(!ent || !meta){ if(ent) console.warn('Synced image not on this device:', msg.name); return; }
+  const t = ent.components && ent.components['panel-transition'];
+  if(t) t.cancel();
+  swapPanel(ent, meta);
+}
+
+// In-VR interaction events bubble up from panels (see js/interaction.js)
+panelContainer.addEventListener('panel-skip', (evt)=>{
+  const idx = panelEntities.indexOf(evt.target);
+  if(idx < 0 || syncRole === 'follower') return;
+  try { replaceOnePanel(currentPanelHeight, idx); } catch(e){ log('Skip error: ' + e); }
+});
+
+// Resolve once every <img> asset has loaded (or failed)
+function waitForAssetsLoaded(){
+  const imgs = Array.from(aAssets.querySelectorAll('img'));
+  return Promise.all(imgs.map(img => new Promise((resolve)=>{
+    if(img.complete && img.naturalWidth>0) return resolve();
+    img.onload = ()=> resolve();
+    img.onerror = ()=> { log('Asset failed: ' + (img.id||'unknown')); resolve(); };
+  })));
+}
 
-  // debug exposure
-  window._vrslideshow = { metaList, displayedSet, textureCache };
+// debug exposure
+window._vrslideshow = { metaList, displayedSet, textures };
 
-  // cleanup
-  window.addEventListener('beforeunload', ()=>{ if(replaceTimer) clearInterval(replaceTimer); });
+if(linkParams.show) loadHostedShow(linkParams.show);
+else restoreLibrary().then(()=>{
+  // a share link without a show still carries its settings
+  if(Object.keys(linkParams.settings).length) applySettingsToUi(Object.assign(readSettingsFromUi(), linkParams.settings));
+});
 
-})();
+// cleanup
+window.addEventListener('beforeunload', ()=>{ stopTimers(); stopSync(); videoCtl.stopAll(); soundtrack.stop(); });
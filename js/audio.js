@@ -0,0 +1,285 @@
+/**
+ * VR Slideshow — Music and narration
+ * Purpose: Background music that crossfades from track to track across the session, per-image
+ * voice notes played when the image is swapped onto a panel (music ducks underneath), and
+ * local tempo analysis so panel swaps can land on the beat.
+ *
+ * estimateTempo(samples, sampleRate) -> { bpm, offset, confidence }   (pure; offset = first beat, sec)
+ * analyzeTempo(blob) -> Promise<{ bpm, offset, confidence } | null>    (decodes with Web Audio)
+ * beatSyncedInterval(bpm, targetSec) -> { seconds, beats }             (whole bars closest to target)
+ * const st = createSoundtrack({ crossfadeSec, volume, onTrackChange });
+ * st.setTracks([{ id, url, name, bpm, offset }]) / st.start() / st.stop() / st.pause() / st.resume()
+ * st.currentTrack() / st.trackTime() / st.playNarration(url) / st.stopNarration()
+ */
+
+const AUDIO_TYPES = ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/wav', 'audio/x-wav', 'audio/webm', 'audio/flac', 'audio/x-m4a'];
+const MIN_BPM = 70;
+const MAX_BPM = 170;
+const HOP = 256;                 // samples per analysis frame
+const ANALYZE_SECONDS = 60;      // the first minute is plenty to lock onto a tempo
+const BEATS_PER_BAR = 4;
+const DUCK_LEVEL = 0.25;         // music gain while a voice note plays
+const DUCK_SEC = 0.4;
+
+function isAudioBlob(blob, name){
+  const type = (blob && blob.type) || '';
+  if(AUDIO_TYPES.includes(type) || type.indexOf('audio/') === 0) return true;
+  return !type && /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac)$/i.test(name || '');
+}
+
+// Onset-strength autocorrelation: energy rises per frame, then the lag with the strongest
+// self-similarity between MIN_BPM and MAX_BPM is the beat period
+function estimateTempo(samples, sampleRate){
+  const frames = Math.floor(samples.length / HOP);
+  const frameRate = sampleRate / HOP;
+  const minLag = Math.floor(frameRate * 60 / MAX_BPM);
+  const maxLag = Math.ceil(frameRate * 60 / MIN_BPM);
+  if(frames < maxLag * 4) return { bpm: 0, offset: 0, confidence: 0 };
+
+  const onset = new Float32Array(frames);
+  let prev = 0;
+  for(let f=0;f<frames;f++){
+    let sum = 0;
+    for(let i=f*HOP, end=i+HOP; i<end; i++) sum += samples[i] * samples[i];
+    const energy = Math.log(1 + 1000 * Math.sqrt(sum / HOP));
+    onset[f] = Math.max(0, energy - prev);
+    prev = energy;
+  }
+  let mean = 0;
+  for(let f=0;f<frames;f++) mean += onset[f];
+  mean /= frames;
+  for(let f=0;f<frames;f++) onset[f] -= mean;
+
+  function corr(lag){
+    let s = 0;
+    for(let f=0; f+lag<frames; f++) s += onset[f] * onset[f+lag];
+    return s / (frames - lag);
+  }
+  const scores = [];
+  let best = -1; let bestScore = -Infinity;
+  for(let lag=minLag; lag<=maxLag; lag++){
+    scores[lag] = corr(lag);
+    if(scores[lag] > bestScore){ bestScore = scores[lag]; best = lag; }
+  }
+  const zero = corr(0);
+  if(best < 0 || !(bestScore > 0) || !(zero > 0)) return { bpm: 0, offset: 0, confidence: 0 };
+
+  // parabolic interpolation for a fractional lag (tempo precision matters over a whole track)
+  let lag = best;
+  if(best > minLag && best < maxLag){
+    const a = scores[best-1]; const b = scores[best]; const c = scores[best+1];
+    const denom = a - 2*b + c;
+    if(denom < 0) lag = best + 0.5 * (a - c) / denom;
+  }
+
+  // phase: the offset whose beat grid collects the most onset energy
+  let bestPhase = 0; let bestPhaseScore = -Infinity;
+  for(let p=0; p<Math.ceil(lag); p++){
+    let s = 0;
+    for(let t=p; t<frames; t+=lag) s += onset[Math.round(t)] || 0;
+    if(s > bestPhaseScore){ bestPhaseScore = s; bestPhase = p; }
+  }
+
+  return {
+    bpm: Math.round(600 * frameRate / lag) / 10,
+    offset: bestPhase / frameRate,
+    confidence: Math.max(0, Math.min(1, bestScore / zero))
+  };
+}
+
+// Decode (mono mixdown of the first ANALYZE_SECONDS) and estimate; null when decoding isn't possible
+async function analyzeTempo(blob){
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if(!Offline) return null;
+  const ctx = new Offline(1, 1, 44100);
+  const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+  const length = Math.min(buffer.length, Math.floor(ANALYZE_SECONDS * buffer.sampleRate));
+  const mono = new Float32Array(length);
+  for(let ch=0; ch<buffer.numberOfChannels; ch++){
+    const data = buffer.getChannelData(ch);
+    for(let i=0;i<length;i++) mono[i] += data[i] / buffer.numberOfChannels;
+  }
+  const tempo = estimateTempo(mono, buffer.sampleRate);
+  return tempo.bpm ? Object.assign(tempo, { duration: buffer.duration }) : null;
+}
+
+function beatSyncedInterval(bpm, targetSec){
+  const bar = BEATS_PER_BAR * 60 / bpm;
+  const bars = Math.max(1, Math.round((targetSec || bar) / bar));
+  return { seconds: bars * bar, beats: bars * BEATS_PER_BAR };
+}
+
+function createSoundtrack(options){
+  const opts = options || {};
+  let crossfadeSec = opts.crossfadeSec === undefined ? 4 : opts.crossfadeSec;
+  let volume = opts.volume === undefined ? 0.8 : opts.volume;
+  const onTrackChange = typeof opts.onTrackChange === 'function' ? opts.onTrackChange : null;
+
+  let ctx = null;
+  let musicBus = null;
+  let decks = [];          // [{ audio, gain, track }]
+  let front = 0;
+  let tracks = [];
+  let trackIndex = -1;
+  let fading = false;
+  let running = false;
+  let narration = null;    // { audio, source }
+  let paused = false;
+  let held = [];           // the <audio> elements pause() stopped, restarted by resume()
+  let fadeEnd = null;      // { timer, due, done, left } the end of a crossfade; a pause keeps what is left of it
+
+  // Built on first start() (needs a user gesture to be allowed to play)
+  function ensureGraph(){
+    if(ctx) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    ctx = new Ctx();
+    musicBus = ctx.createGain();
+    musicBus.gain.value = volume;
+    musicBus.connect(ctx.destination);
+    decks = [0,1].map(()=>{
+      const audio = new Audio();
+      audio.preload = 'auto';
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      ctx.createMediaElementSource(audio).connect(gain);
+      gain.connect(musicBus);
+      const deck = { audio, gain, track: null };
+      audio.addEventListener('timeupdate', ()=> onTime(deck));
+      audio.addEventListener('ended', ()=> onEnded(deck));
+      return deck;
+    });
+  }
+
+  function ramp(param, to, sec){
+    const now = ctx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(to, now + Math.max(0.01, sec));
+  }
+
+  function play(deck, track, fadeSec){
+    deck.track = track;
+    deck.audio.src = track.url;
+    deck.audio.currentTime = 0;
+    ramp(deck.gain.gain, 1, fadeSec);
+    const p = deck.audio.play();
+    if(p && p.catch) p.catch(err => console.warn('Music play() rejected', err));
+  }
+
+  // Fade the playing deck out and the next track in on the other deck
+  function advance(){
+    if(!running || !tracks.length) return;
+    trackIndex = (trackIndex + 1) % tracks.length;
+    const outgoing = decks[front];
+    front = 1 - front;
+    const incoming = decks[front];
+    const fadeSec = outgoing.track ? crossfadeSec : 0;
+    fading = true;
+    if(outgoing.track){
+      ramp(outgoing.gain.gain, 0, fadeSec);
+      finishFadeIn(fadeSec * 1000 + 50, ()=>{ if(decks[front] !== outgoing) outgoing.audio.pause(); fading = false; });
+    } else fading = false;
+    play(incoming, tracks[trackIndex], fadeSec);
+    if(onTrackChange) onTrackChange(tracks[trackIndex]);
+  }
+
+  function finishFadeIn(ms, done){
+    clearFade();
+    fadeEnd = { due: Date.now() + ms, done, timer: setTimeout(()=>{ fadeEnd = null; done(); }, ms) };
+  }
+  function clearFade(){
+    if(fadeEnd) clearTimeout(fadeEnd.timer);
+    fadeEnd = null;
+  }
+
+  function onTime(deck){
+    if(!running || paused || fading || deck !== decks[front]) return;
+    const a = deck.audio;
+    if(isFinite(a.duration) && a.duration - a.currentTime <= crossfadeSec) advance();
+  }
+  function onEnded(deck){ if(running && !paused && deck === decks[front]) { fading = false; advance(); } }
+
+  function setTracks(list){ tracks = (list || []).slice(); if(trackIndex >= tracks.length) trackIndex = -1; }
+  // Call from a user gesture: it also unlocks audio for voice notes when there's no music
+  function start(){
+    ensureGraph();
+    if(ctx.state === 'suspended') ctx.resume();
+    if(!tracks.length) return;
+    running = true;
+    paused = false;
+    held = [];
+    trackIndex = -1;
+    decks.forEach(d => { d.audio.pause(); d.track = null; d.gain.gain.value = 0; });
+    advance();
+  }
+  function stop(){
+    running = false;
+    fading = false;
+    paused = false;
+    held = [];
+    clearFade();
+    stopNarration();
+    decks.forEach(d => { d.audio.pause(); d.track = null; });
+  }
+  // Pausing stops the elements themselves, not just the sound: the track position (and so the beat
+  // grid and the next crossfade) stays where it was until resume()
+  function pause(){
+    if(!ctx || paused) return;
+    paused = true;
+    const playing = decks.map(d => d.audio).concat(narration ? [narration.audio] : []).filter(a => !a.paused && !a.ended);
+    playing.forEach(a => a.pause());
+    held = playing;
+    if(fadeEnd && fadeEnd.timer){
+      clearTimeout(fadeEnd.timer);
+      fadeEnd.timer = null;
+      fadeEnd.left = Math.max(0, fadeEnd.due - Date.now());
+    }
+    ctx.suspend();
+  }
+  function resume(){
+    if(!ctx || !paused) return;
+    paused = false;
+    ctx.resume();
+    held.forEach(a => {
+      const p = a.play();
+      if(p && p.catch) p.catch(err => console.warn('Resume play() rejected', err));
+    });
+    held = [];
+    if(fadeEnd && !fadeEnd.timer) finishFadeIn(fadeEnd.left, fadeEnd.done);
+  }
+
+  function currentTrack(){ return running && decks[front] ? decks[front].track : null; }
+  function trackTime(){ return running && decks[front] ? decks[front].audio.currentTime : 0; }
+
+  function setVolume(v){ volume = Math.max(0, Math.min(1, v)); if(musicBus && !narration) ramp(musicBus.gain, volume, 0.2); }
+  function setCrossfade(sec){ crossfadeSec = Math.max(0, sec); }
+
+  // One voice note at a time; music ducks while it plays
+  function playNarration(url){
+    if(!url) return;
+    ensureGraph();
+    stopNarration();
+    const audio = new Audio(url);
+    const source = ctx.createMediaElementSource(audio);
+    source.connect(ctx.destination);
+    narration = { audio, source };
+    ramp(musicBus.gain, volume * DUCK_LEVEL, DUCK_SEC);
+    audio.addEventListener('ended', ()=>{ if(narration && narration.audio === audio) stopNarration(); });
+    // a slide skipped to while paused keeps its voice note for resume()
+    if(paused){ held.push(audio); return; }
+    const p = audio.play();
+    if(p && p.catch) p.catch(err => { console.warn('Narration play() rejected', err); stopNarration(); });
+  }
+  function stopNarration(){
+    if(!narration) return;
+    narration.audio.pause();
+    held = held.filter(a => a !== narration.audio);
+    try { narration.source.disconnect(); } catch(e){}
+    narration = null;
+    if(musicBus) ramp(musicBus.gain, volume, DUCK_SEC);
+  }
+
+  return { setTracks, start, stop, pause, resume, next: advance, currentTrack, trackTime, setVolume, setCrossfade, playNarration, stopNarration };
+}
+
+export { AUDIO_TYPES, isAudioBlob, estimateTempo, analyzeTempo, beatSyncedInterval, createSoundtrack };
@@ -0,0 +1,83 @@
+/**
+ * VR Slideshow — Panel captions
+ * Purpose: Optional caption / date strip under each curved panel.
+ *
+ * Modes (show setting "captions"):
+ *   off     - nothing under the panels
+ *   caption - the user's caption only
+ *   date    - caption, then the date taken
+ *   details - caption, then date taken · camera · GPS position
+ *
+ * captionText(meta, mode) -> '' | 'Caption\n12 Mar 2024 · Pixel 7'
+ * <a-entity curved-panel panel-caption="text: ...; width: 1.2; panelHeight: 0.8">
+ *   color / background / opacity style the strip (js/comfort.js: high contrast), textScale enlarges the lettering
+ */
+
+import { formatGps } from './exif.js';
+
+const CAPTION_MODES = ['off', 'caption', 'date', 'details'];
+const LINE_HEIGHT = 0.06;   // metres per text line
+const PADDING = 0.025;
+const GAP = 0.03;           // between the panel's bottom edge and the strip
+const CHARS_PER_METRE = 30;
+
+function formatDate(ms){
+  if(!ms) return '';
+  try { return new Date(ms).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }); }
+  catch(e){ return new Date(ms).toDateString(); }
+}
+
+function captionText(meta, mode){
+  if(!meta || mode === 'off' || !CAPTION_MODES.includes(mode)) return '';
+  const lines = [];
+  if(meta.caption) lines.push(meta.caption);
+  if(mode === 'date' || mode === 'details'){
+    const facts = [formatDate(meta.takenAt)];
+    if(mode === 'details'){
+      facts.push(meta.camera || '');
+      facts.push(meta.gps ? formatGps(meta.gps) : '');
+    }
+    const line = facts.filter(Boolean).join(' · ');
+    if(line) lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+AFRAME.registerComponent('panel-caption', {
+  schema: {
+    text: { type: 'string', default: '' },
+    width: { type: 'number', default: 1.2 },
+    panelHeight: { type: 'number', default: 0.8 },
+    frame: { type: 'number', default: 0 },     // the panel's frame border (js/environments.js): the strip goes below it
+    color: { type: 'color', default: '#ffffff' },
+    background: { type: 'color', default: '#000000' },
+    opacity: { type: 'number', default: 0.6 },
+    textScale: { type: 'number', default: 1 }
+  },
+  init: function(){
+    const strip = document.createElement('a-entity');
+    strip.setAttribute('visible', false);
+    this.el.appendChild(strip);
+    this.strip = strip;
+  },
+  update: function(){
+    const d = this.data;
+    const text = String(d.text || '').trim();
+    if(!text){ this.strip.setAttribute('visible', false); return; }
+    const width = Math.max(0.3, d.width);
+    const scale = Math.max(0.5, d.textScale);
+    const perLine = Math.max(8, Math.round(width * CHARS_PER_METRE / scale));
+    const lines = text.split('\n').reduce((n, line)=> n + Math.max(1, Math.ceil(line.length / perLine)), 0);
+    const height = lines * LINE_HEIGHT * scale + PADDING * 2;
+    this.strip.setAttribute('geometry', { primitive: 'plane', width, height });
+    this.strip.setAttribute('material', { color: d.background, opacity: d.opacity, transparent: d.opacity < 1, shader: 'flat', side: 'double' });
+    this.strip.setAttribute('text', { value: text, align: 'center', baseline: 'center', anchor: 'center', color: d.color, width: width * 0.95, wrapCount: perLine, zOffset: 0.002 });
+    this.strip.setAttribute('position', `0 ${-(d.panelHeight / 2 + d.frame + GAP + height / 2)} 0.01`);
+    this.strip.setAttribute('visible', true);
+  },
+  remove: function(){
+    if(this.strip && this.strip.parentNode) this.strip.parentNode.removeChild(this.strip);
+  }
+});
+
+export { CAPTION_MODES, captionText, formatDate };
@@ -0,0 +1,183 @@
+/**
+ * VR Slideshow — Comfort and accessibility
+ * Purpose: Options that make the show easier to watch, picked on the setup page and remembered on this device
+ * (like the viewing mode: it belongs to the viewer, so it is not saved with a playlist or a share link):
+ *   seated        - panels only in a forward arc (seatedArcDeg wide, low elevation), whatever the layout
+ *   indicator     - off | arrow | sound | both: point at (or ping from) the panel that just changed
+ *   reducedMotion - flip / slide / zoom become crossfades, enlarging a panel is instant
+ *   distance      - how far away the panels sit, in metres
+ *   highContrast  - captions and messages in white on solid black
+ *   textScale     - size of captions and in-VR messages
+ *
+ * DEFAULT_COMFORT, normalizeComfort(c) -> comfort   (unknown keys dropped, numbers clamped)
+ * loadComfort() / saveComfort(comfort)               (localStorage; the first visit follows prefers-reduced-motion)
+ * comfortTransition(transition, comfort) -> transition to run
+ * comfortLayout(layoutName, comfort) -> { layout, options }   (options merged into the layout engine's)
+ * indicatorAngle(local, viewConeDeg) -> null (already in view) | arrow rotation in degrees (0: up, + anticlockwise)
+ * <a-entity camera swap-indicator> -> .point(worldPosition, { arrow, sound })
+ */
+
+const COMFORT_KEY = 'vrslideshow.comfort';
+const INDICATORS = ['off', 'arrow', 'sound', 'both'];
+const SEATED_ARCS = [90, 120, 180];
+const SEATED_ELEVATION_DEG = 20;
+const DISTANCE_MIN = 1.2;
+const DISTANCE_MAX = 3;
+const TEXT_SCALES = [1, 1.25, 1.5, 2];
+const MOVING_EFFECTS = ['flip', 'slide', 'zoom'];
+const DEFAULT_COMFORT = {
+  seated: false,
+  seatedArcDeg: 120,
+  indicator: 'off',
+  reducedMotion: false,
+  distance: 1.8,
+  highContrast: false,
+  textScale: 1
+};
+
+// swap-indicator
+const VIEW_CONE_DEG = 35;           // a panel this close to the view direction needs no arrow
+const ARROW_DISTANCE = 1;
+const ARROW_OFFSET = 0.28;          // from the centre of view, towards the panel
+const ARROW_SHOW_MS = 2500;
+const PING_MS = 350;
+
+function pick(list, value, fallback){ return list.includes(value) ? value : fallback; }
+
+function normalizeComfort(c){
+  const s = Object.assign({}, DEFAULT_COMFORT, c || {});
+  const distance = parseFloat(s.distance);
+  return {
+    seated: !!s.seated,
+    seatedArcDeg: pick(SEATED_ARCS, Number(s.seatedArcDeg), DEFAULT_COMFORT.seatedArcDeg),
+    indicator: pick(INDICATORS, s.indicator, DEFAULT_COMFORT.indicator),
+    reducedMotion: !!s.reducedMotion,
+    distance: isFinite(distance) ? Math.max(DISTANCE_MIN, Math.min(DISTANCE_MAX, Math.round(distance * 10) / 10)) : DEFAULT_COMFORT.distance,
+    highContrast: !!s.highContrast,
+    textScale: pick(TEXT_SCALES, Number(s.textScale), DEFAULT_COMFORT.textScale)
+  };
+}
+
+function prefersReducedMotion(){
+  try { return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches); } catch(e){ return false; }
+}
+
+function loadComfort(){
+  try {
+    const raw = localStorage.getItem(COMFORT_KEY);
+    if(raw) return normalizeComfort(JSON.parse(raw));
+  } catch(e){}
+  return normalizeComfort({ reducedMotion: prefersReducedMotion() });
+}
+function saveComfort(comfort){
+  try { localStorage.setItem(COMFORT_KEY, JSON.stringify(normalizeComfort(comfort))); } catch(e){}
+}
+
+// The blend still marks the change, without the panel moving
+function comfortTransition(transition, comfort){
+  if(!comfort || !comfort.reducedMotion || !MOVING_EFFECTS.includes(transition.effect)) return transition;
+  return Object.assign({}, transition, { effect: 'crossfade' });
+}
+
+// Seated viewing lays every show out as a forward arc, kept close to eye level
+function comfortLayout(layoutName, comfort){
+  if(!comfort || !comfort.seated) return { layout: layoutName, options: {} };
+  return { layout: 'arc', options: { arcDeg: comfort.seatedArcDeg, arcElevationDeg: SEATED_ELEVATION_DEG } };
+}
+
+// local: the panel in camera space (-Z ahead, +Y up). Outside the view cone, the arrow points the
+// shortest way round; straight behind it says "turn right"
+function indicatorAngle(local, viewConeDeg){
+  const cone = viewConeDeg === undefined ? VIEW_CONE_DEG : viewConeDeg;
+  const len = Math.hypot(local.x, local.y, local.z);
+  if(len < 1e-6) return null;
+  const offAxisDeg = Math.acos(Math.max(-1, Math.min(1, -local.z / len))) * 180 / Math.PI;
+  if(offAxisDeg <= cone) return null;
+  let dx = local.x;
+  const dy = local.y;
+  if(Math.hypot(dx, dy) < 1e-6) dx = 1;
+  return Math.atan2(-dx, dy) * 180 / Math.PI;
+}
+
+// Rides on the camera: an arrow at the edge of view towards the panel that just changed, and/or a
+// short ping from the panel itself (spatial audio through the scene's listener)
+AFRAME.registerComponent('swap-indicator', {
+  init: function(){
+    const shape = new THREE.Shape();
+    shape.moveTo(0, 0.045);
+    shape.lineTo(-0.035, -0.025);
+    shape.lineTo(0.035, -0.025);
+    shape.closePath();
+    this.arrow = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshBasicMaterial({ color: 0xffd47a, transparent: true, depthTest: false }));
+    this.arrow.renderOrder = 10;
+    this.arrow.visible = false;
+    this.el.object3D.add(this.arrow);
+    this.target = null;
+    this.shownAt = 0;
+    this.audio = null;
+    this.local = new THREE.Vector3();
+  },
+  remove: function(){
+    this.el.object3D.remove(this.arrow);
+    this.arrow.geometry.dispose();
+    this.arrow.material.dispose();
+    if(this.audio && this.audio.parent) this.audio.parent.remove(this.audio);
+  },
+  point: function(worldPosition, opts){
+    const o = opts || {};
+    if(o.arrow){
+      this.target = worldPosition.clone();
+      this.shownAt = this.el.sceneEl.time;
+    }
+    if(o.sound) this.ping(worldPosition);
+  },
+  ping: function(worldPosition){
+    const sceneEl = this.el.sceneEl;
+    if(!this.audio){
+      // the listener A-Frame's sound component would use, so everything shares one
+      if(!sceneEl.audioListener){
+        sceneEl.audioListener = new THREE.AudioListener();
+        if(sceneEl.camera) sceneEl.camera.add(sceneEl.audioListener);
+      }
+      this.audio = new THREE.PositionalAudio(sceneEl.audioListener);
+      this.audio.setRefDistance(1);
+      sceneEl.object3D.add(this.audio);
+    }
+    const ctx = this.audio.context;
+    if(ctx.state === 'suspended') ctx.resume().catch(()=>{});
+    this.audio.position.copy(worldPosition);
+    this.audio.updateMatrixWorld(true);
+    if(this.audio.source) this.audio.disconnect();
+    const now = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.frequency.setValueAtTime(880, now);
+    osc.frequency.exponentialRampToValueAtTime(660, now + PING_MS / 1000);
+    env.gain.setValueAtTime(0.0001, now);
+    env.gain.exponentialRampToValueAtTime(0.4, now + 0.02);
+    env.gain.exponentialRampToValueAtTime(0.0001, now + PING_MS / 1000);
+    osc.connect(env);
+    this.audio.setNodeSource(env);
+    osc.start(now);
+    osc.stop(now + PING_MS / 1000 + 0.05);
+  },
+  tick: function(time){
+    if(!this.target) return;
+    const elapsed = time - this.shownAt;
+    // turning towards the panel (or waiting long enough) puts the arrow away
+    this.local.copy(this.target);
+    this.el.object3D.worldToLocal(this.local);
+    const angle = elapsed > ARROW_SHOW_MS ? null : indicatorAngle(this.local);
+    if(angle === null){ this.target = null; this.arrow.visible = false; return; }
+    const rad = angle * Math.PI / 180;
+    this.arrow.position.set(-Math.sin(rad) * ARROW_OFFSET, Math.cos(rad) * ARROW_OFFSET, -ARROW_DISTANCE);
+    this.arrow.rotation.set(0, 0, rad);
+    this.arrow.material.opacity = Math.min(1, 2 * (1 - elapsed / ARROW_SHOW_MS));
+    this.arrow.visible = true;
+  }
+});
+
+export {
+  DEFAULT_COMFORT, INDICATORS, SEATED_ARCS, TEXT_SCALES, DISTANCE_MIN, DISTANCE_MAX,
+  normalizeComfort, loadComfort, saveComfort, comfortTransition, comfortLayout, indicatorAngle
+};
@@ -0,0 +1,306 @@
+/**
+ * VR Slideshow — Environments and panel frames
+ * Purpose: What surrounds the panels (show setting "environment") and how each panel is framed
+ * ("frame", "shadows"). Panels themselves stay unlit (MeshBasicMaterial) so photos keep their colours;
+ * rooms and frames are lit.
+ *
+ * Environments:
+ *   black   - the plain black sphere (the original look)
+ *   dusk    - night-blue to violet gradient sky
+ *   dawn    - soft blue to warm horizon gradient sky
+ *   gallery - a round gallery room: warm walls, wooden floor, its own lights
+ *   stars   - a starfield over a deep blue sky
+ *   ambient - a gradient in the dominant colour of the photo that last landed, easing from one to the next
+ * A 360° background photo (js/panorama.js) covers all of them; the app hides the environment meanwhile.
+ *
+ * Frames: none | black | white (a wide white mount) | wood. Soft shadows are a blurred dark card behind
+ * the panel (no shadow maps, which a Quest can't afford for 24 panels). The frame belongs to the panel's
+ * place: transitions move the photo, the frame stays.
+ *
+ * <a-entity slideshow-environment="preset: gallery"> -> .feature(imageSource) for the ambient colour
+ * <a-entity curved-panel panel-frame="style: wood; shadow: true; width; height; curvature">
+ * bendPlaneGeometry(width, height, curvature, segW, segH) -> THREE geometry curved like the panels
+ * frameWidth(style) -> border in metres (captions sit below it)
+ * dominantColor(rgba) -> { r, g, b } 0..255   (pure: the most common saturated colour bucket, averaged)
+ */
+
+import { createRandom } from './random.js';
+
+const ENVIRONMENTS = ['black', 'dusk', 'dawn', 'gallery', 'stars', 'ambient'];
+const FRAME_STYLES = ['none', 'black', 'white', 'wood'];
+const SPHERE_RADIUS = 40;
+const ROOM_RADIUS = 4.5;            // panels sit 1.2-3 m away (js/comfort.js); the walls well behind them
+const ROOM_HEIGHT = 4.2;
+const STAR_COUNT = 1600;
+const AMBIENT_FADE_MS = 1500;
+const SAMPLE_SIZE = 24;             // px: the featured photo is shrunk to this before counting colours
+const GRADIENTS = {
+  black: ['#000000', '#000000', '#000000'],
+  dusk: ['#070b24', '#3b2d5c', '#0b0912'],
+  dawn: ['#2a4f85', '#e7b38d', '#1c1a24'],
+  gallery: ['#111111', '#111111', '#111111'],
+  stars: ['#01020a', '#0a1430', '#020208'],
+  ambient: ['#0d0d0d', '#1a1a1a', '#050505']
+};
+const FRAMES = {
+  black: { width: 0.025, color: '#141414', roughness: 0.5 },
+  white: { width: 0.07, color: '#f2efe8', roughness: 0.9 },
+  wood: { width: 0.05, color: '#6b4a2b', roughness: 0.7 }
+};
+
+function frameWidth(style){ return FRAMES[style] ? FRAMES[style].width : 0; }
+
+// The panel curve: vertices on an arc around a vertical axis, the edges towards the viewer
+function bendPlaneGeometry(width, height, curvature, segW, segH){
+  const geom = new THREE.PlaneGeometry(width, height, Math.max(4, segW || 48), Math.max(1, segH || 12));
+  const bend = Math.max(0, Math.min(1, curvature));
+  const arc = bend * Math.PI / 3;
+  const radius = (arc > 0) ? (width / arc) : 1000;
+  const posAttr = geom.attributes.position;
+  for(let i=0;i<posAttr.count;i++){
+    const vx = posAttr.getX(i);
+    if(arc > 0){
+      const angle = ((vx + width/2) / width - 0.5) * arc;
+      posAttr.setX(i, Math.sin(angle) * radius);
+      posAttr.setZ(i, radius - Math.cos(angle) * radius);
+    } else posAttr.setZ(i, 0);
+  }
+  geom.computeVertexNormals();
+  return geom;
+}
+
+// The curvature a wider plane needs to lie on the same circle as a panel of panelWidth
+function sameCurve(curvature, panelWidth, width){ return curvature * width / panelWidth; }
+
+// Coarse buckets (3 bits a channel); greys and near-black count for little so a colourful subject wins
+function dominantColor(rgba){
+  const buckets = new Map();
+  for(let i = 0; i + 3 < rgba.length; i += 4){
+    if(rgba[i + 3] < 128) continue;
+    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const weight = 0.05 + (max ? (max - min) / max : 0) * (max / 255);
+    const key = (r >> 5) << 6 | (g >> 5) << 3 | (b >> 5);
+    const bucket = buckets.get(key) || { weight: 0, r: 0, g: 0, b: 0, n: 0 };
+    bucket.weight += weight;
+    bucket.r += r; bucket.g += g; bucket.b += b; bucket.n++;
+    buckets.set(key, bucket);
+  }
+  let best = null;
+  buckets.forEach(bucket => { if(!best || bucket.weight > best.weight) best = bucket; });
+  if(!best) return { r: 0, g: 0, b: 0 };
+  return { r: Math.round(best.r / best.n), g: Math.round(best.g / best.n), b: Math.round(best.b / best.n) };
+}
+
+function sampleColor(source){
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = SAMPLE_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  return dominantColor(ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE).data);
+}
+
+function gradientMaterial(colors){
+  return new THREE.ShaderMaterial({
+    side: THREE.BackSide,
+    depthWrite: false,
+    uniforms: {
+      topColor: { value: new THREE.Color(colors[0]) },
+      horizonColor: { value: new THREE.Color(colors[1]) },
+      bottomColor: { value: new THREE.Color(colors[2]) }
+    },
+    vertexShader: [
+      'varying vec3 vDir;',
+      'void main(){',
+      '  vDir = normalize(position);',
+      '  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
+      '}'
+    ].join('\n'),
+    fragmentShader: [
+      'uniform vec3 topColor;',
+      'uniform vec3 horizonColor;',
+      'uniform vec3 bottomColor;',
+      'varying vec3 vDir;',
+      'void main(){',
+      '  float h = vDir.y;',
+      '  vec3 col = h > 0.0 ? mix(horizonColor, topColor, pow(h, 0.6)) : mix(horizonColor, bottomColor, pow(-h, 0.4));',
+      '  gl_FragColor = vec4(col, 1.0);',
+      '  #include <colorspace_fragment>',
+      '}'
+    ].join('\n')
+  });
+}
+
+function buildStars(){
+  const random = createRandom(20240501);   // the same sky on every headset
+  const positions = new Float32Array(STAR_COUNT * 3);
+  const colors = new Float32Array(STAR_COUNT * 3);
+  const tint = new THREE.Color();
+  for(let i = 0; i < STAR_COUNT; i++){
+    // all around, thinning out below the horizon
+    const y = 1 - 1.6 * Math.pow(random(), 1.3);
+    const theta = random() * Math.PI * 2;
+    const r = Math.sqrt(Math.max(0, 1 - y * y));
+    const dist = SPHERE_RADIUS * 0.9;
+    positions.set([Math.cos(theta) * r * dist, y * dist, Math.sin(theta) * r * dist], i * 3);
+    tint.setHSL(0.55 + random() * 0.12, 0.3, 0.6 + random() * 0.4);
+    colors.set([tint.r, tint.g, tint.b], i * 3);
+  }
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return new THREE.Points(geom, new THREE.PointsMaterial({ size: 0.12, sizeAttenuation: true, vertexColors: true, depthWrite: false }));
+}
+
+function buildRoom(){
+  const room = new THREE.Group();
+  const walls = new THREE.Mesh(
+    new THREE.CylinderGeometry(ROOM_RADIUS, ROOM_RADIUS, ROOM_HEIGHT, 64, 1, true),
+    new THREE.MeshStandardMaterial({ color: '#d8d2c6', roughness: 0.95, side: THREE.BackSide })
+  );
+  walls.position.y = ROOM_HEIGHT / 2;
+  const floor = new THREE.Mesh(new THREE.CircleGeometry(ROOM_RADIUS, 64), new THREE.MeshStandardMaterial({ color: '#4a3526', roughness: 0.6 }));
+  floor.rotation.x = -Math.PI / 2;
+  const ceiling = new THREE.Mesh(new THREE.CircleGeometry(ROOM_RADIUS, 64), new THREE.MeshStandardMaterial({ color: '#eeeae2', roughness: 1 }));
+  ceiling.rotation.x = Math.PI / 2;
+  ceiling.position.y = ROOM_HEIGHT;
+  // skirting board where the walls meet the floor
+  const skirting = new THREE.Mesh(
+    new THREE.CylinderGeometry(ROOM_RADIUS - 0.01, ROOM_RADIUS - 0.01, 0.12, 64, 1, true),
+    new THREE.MeshStandardMaterial({ color: '#2b2018', roughness: 0.8, side: THREE.BackSide })
+  );
+  skirting.position.y = 0.06;
+  const hemi = new THREE.HemisphereLight('#fff4e0', '#3a2a1c', 0.9);
+  const key = new THREE.PointLight('#ffe9c8', 18, 12, 2);
+  key.position.set(0, ROOM_HEIGHT - 0.4, 0);
+  room.add(walls, floor, ceiling, skirting, hemi, key);
+  return room;
+}
+
+function disposeTree(obj){
+  obj.traverse(o => {
+    if(o.geometry) o.geometry.dispose();
+    if(o.material) o.material.dispose();
+  });
+}
+
+AFRAME.registerComponent('slideshow-environment', {
+  schema: {
+    preset: { type: 'string', default: 'black', oneOf: ENVIRONMENTS }
+  },
+  init: function(){
+    this.sky = new THREE.Mesh(new THREE.SphereGeometry(SPHERE_RADIUS, 64, 32), gradientMaterial(GRADIENTS.black));
+    this.sky.renderOrder = -3;
+    this.el.object3D.add(this.sky);
+    this.extra = null;
+    this.fade = null;   // ambient: { from: [Color x3], to: [Color x3], elapsed }
+  },
+  update: function(){
+    const preset = ENVIRONMENTS.includes(this.data.preset) ? this.data.preset : 'black';
+    if(this.extra){ this.el.object3D.remove(this.extra); disposeTree(this.extra); this.extra = null; }
+    this.fade = null;
+    this.setColors(GRADIENTS[preset].map(c => new THREE.Color(c)));
+    if(preset === 'stars') this.extra = buildStars();
+    else if(preset === 'gallery') this.extra = buildRoom();
+    // world y 0 is the floor the viewer stands on (the camera is at 1.6 m)
+    if(this.extra) this.el.object3D.add(this.extra);
+  },
+  remove: function(){
+    if(this.extra){ this.el.object3D.remove(this.extra); disposeTree(this.extra); }
+    this.el.object3D.remove(this.sky);
+    disposeTree(this.sky);
+  },
+  setColors: function(colors){
+    const u = this.sky.material.uniforms;
+    u.topColor.value.copy(colors[0]);
+    u.horizonColor.value.copy(colors[1]);
+    u.bottomColor.value.copy(colors[2]);
+  },
+  // Ambient only: take the dominant colour of an <img>, <video>, canvas or bitmap and ease the sky towards it
+  feature: function(source){
+    if(this.data.preset !== 'ambient' || !source) return;
+    let rgb;
+    try { rgb = sampleColor(source); }
+    catch(e){ return; }   // not loaded yet, or a cross-origin image without CORS
+    const base = new THREE.Color().setRGB(rgb.r / 255, rgb.g / 255, rgb.b / 255, THREE.SRGBColorSpace);
+    // dimmed well below the photo so the panels stay the brightest thing in view
+    const to = [0.22, 0.45, 0.08].map(k => base.clone().multiplyScalar(k));
+    const u = this.sky.material.uniforms;
+    this.fade = { from: [u.topColor.value.clone(), u.horizonColor.value.clone(), u.bottomColor.value.clone()], to, elapsed: 0 };
+  },
+  tick: function(time, delta){
+    if(!this.fade) return;
+    this.fade.elapsed += Math.min(delta || 0, 100);
+    const t = Math.min(1, this.fade.elapsed / AMBIENT_FADE_MS);
+    this.setColors(this.fade.from.map((c, i) => c.clone().lerp(this.fade.to[i], t)));
+    if(t >= 1) this.fade = null;
+  }
+});
+
+// One soft-edged dark rectangle, drawn once and shared by every panel's shadow
+let shadowTexture = null;
+function getShadowTexture(){
+  if(shadowTexture) return shadowTexture;
+  const size = 128;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.filter = 'blur(12px)';
+  ctx.fillStyle = 'rgba(0,0,0,1)';
+  ctx.fillRect(size * 0.2, size * 0.2, size * 0.6, size * 0.6);
+  shadowTexture = new THREE.CanvasTexture(canvas);
+  return shadowTexture;
+}
+
+AFRAME.registerComponent('panel-frame', {
+  schema: {
+    style: { type: 'string', default: 'none', oneOf: FRAME_STYLES },
+    shadow: { type: 'boolean', default: false },
+    width: { type: 'number', default: 1.2 },
+    height: { type: 'number', default: 0.8 },
+    curvature: { type: 'number', default: 0.6 }
+  },
+  update: function(){
+    this.clear();
+    const d = this.data;
+    const group = new THREE.Group();
+    const frame = FRAMES[d.style];
+    if(frame){
+      // a card just behind the photo, bigger by the border on every side and bent the same way
+      const border = frame.width;
+      const width = d.width + 2 * border;
+      const mesh = new THREE.Mesh(
+        bendPlaneGeometry(width, d.height + 2 * border, sameCurve(d.curvature, d.width, width)),
+        new THREE.MeshStandardMaterial({ color: frame.color, roughness: frame.roughness, metalness: 0, side: THREE.DoubleSide })
+      );
+      mesh.position.z = -0.004;
+      group.add(mesh);
+    }
+    if(d.shadow){
+      // the texture's dark core fills the middle 60%; the rest is its blurred edge
+      const pad = frameWidth(d.style) + 0.12;
+      const width = (d.width + 2 * pad) / 0.6;
+      const shadow = new THREE.Mesh(
+        bendPlaneGeometry(width, (d.height + 2 * pad) / 0.6, sameCurve(d.curvature, d.width, width)),
+        new THREE.MeshBasicMaterial({ map: getShadowTexture(), transparent: true, opacity: 0.55, depthWrite: false })
+      );
+      shadow.position.set(0, -0.04, -0.03);
+      shadow.renderOrder = -1;
+      group.add(shadow);
+    }
+    if(group.children.length){
+      this.group = group;
+      this.el.setObject3D('frame', group);
+    }
+  },
+  remove: function(){ this.clear(); },
+  clear: function(){
+    if(!this.group) return;
+    this.el.removeObject3D('frame');
+    // the shared shadow texture stays
+    this.group.traverse(o => { if(o.geometry) o.geometry.dispose(); if(o.material) o.material.dispose(); });
+    this.group = null;
+  }
+});
+
+export { ENVIRONMENTS, FRAME_STYLES, bendPlaneGeometry, frameWidth, dominantColor };
@@ -0,0 +1,130 @@
+/**
+ * VR Slideshow — EXIF metadata
+ * Purpose: Read the few EXIF fields the slideshow uses (capture date, camera, GPS position,
+ * orientation) from a JPEG's APP1 segment, locally and without any library. Pure parsing: no DOM.
+ *
+ * parseExif(arrayBuffer) -> { takenAt, camera, gps: { lat, lon } | null, orientation } | null
+ * readExif(blob) -> Promise<same | null>    (reads only the head of the file)
+ * formatGps({ lat, lon }) -> '51.5007°N 0.1246°W'
+ */
+
+const EXIF_SCAN_BYTES = 256 * 1024;
+const TAG = {
+  make: 0x010F, model: 0x0110, orientation: 0x0112, dateTime: 0x0132,
+  exifIfd: 0x8769, gpsIfd: 0x8825, dateTimeOriginal: 0x9003,
+  gpsLatRef: 0x0001, gpsLat: 0x0002, gpsLonRef: 0x0003, gpsLon: 0x0004
+};
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Walk JPEG markers to the "Exif\0\0" APP1 segment; null for anything else (PNG, HEIC, no EXIF)
+function parseExif(buffer){
+  const view = new DataView(buffer);
+  if(view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+  let offset = 2;
+  while(offset + 4 <= view.byteLength){
+    const marker = view.getUint16(offset);
+    if((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA || marker === 0xFFD9) return null;
+    const size = view.getUint16(offset + 2);
+    if(marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0){
+      return readTiff(view, offset + 10);
+    }
+    offset += 2 + size;
+  }
+  return null;
+}
+
+function readTiff(view, start){
+  if(start + 8 > view.byteLength) return null;
+  const order = view.getUint16(start);
+  if(order !== 0x4949 && order !== 0x4D4D) return null;
+  const little = order === 0x4949;
+  const inRange = (off, len) => start + off >= 0 && start + off + len <= view.byteLength;
+  const u16 = off => view.getUint16(start + off, little);
+  const u32 = off => view.getUint32(start + off, little);
+  const i32 = off => view.getInt32(start + off, little);
+  if(u16(2) !== 42) return null;
+
+  function readValue(entry, type, count){
+    const size = (TYPE_SIZES[type] || 0) * count;
+    if(!size) return null;
+    const at = size <= 4 ? entry + 8 : u32(entry + 8);
+    if(!inRange(at, size)) return null;
+    if(type === 2){
+      let s = '';
+      for(let i=0;i<count;i++){ const c = view.getUint8(start + at + i); if(!c) break; s += String.fromCharCode(c); }
+      return s.trim();
+    }
+    const values = [];
+    for(let i=0;i<count;i++){
+      if(type === 3) values.push(u16(at + i*2));
+      else if(type === 4) values.push(u32(at + i*4));
+      else if(type === 9) values.push(i32(at + i*4));
+      else if(type === 5){ const den = u32(at + i*8 + 4); values.push(den ? u32(at + i*8) / den : 0); }
+      else if(type === 10){ const den = i32(at + i*8 + 4); values.push(den ? i32(at + i*8) / den : 0); }
+      else values.push(view.getUint8(start + at + i));
+    }
+    return count === 1 ? values[0] : values;
+  }
+
+  function readIfd(off){
+    const tags = {};
+    if(!off || !inRange(off, 2)) return tags;
+    const n = u16(off);
+    for(let i=0;i<n;i++){
+      const entry = off + 2 + i * 12;
+      if(!inRange(entry, 12)) break;
+      tags[u16(entry)] = readValue(entry, u16(entry + 2), u32(entry + 4));
+    }
+    return tags;
+  }
+
+  const ifd0 = readIfd(u32(4));
+  const exif = readIfd(ifd0[TAG.exifIfd]);
+  const gps = readIfd(ifd0[TAG.gpsIfd]);
+
+  const make = typeof ifd0[TAG.make] === 'string' ? ifd0[TAG.make] : '';
+  const model = typeof ifd0[TAG.model] === 'string' ? ifd0[TAG.model] : '';
+  const camera = model && make && model.toLowerCase().indexOf(make.toLowerCase()) === 0 ? model : [make, model].filter(Boolean).join(' ');
+  const orientation = ifd0[TAG.orientation] >= 1 && ifd0[TAG.orientation] <= 8 ? ifd0[TAG.orientation] : 1;
+
+  return {
+    takenAt: parseExifDate(exif[TAG.dateTimeOriginal] || ifd0[TAG.dateTime]),
+    camera,
+    gps: gpsPosition(gps),
+    orientation
+  };
+}
+
+// "2024:03:12 14:22:05" (camera local time, no zone) -> ms since epoch, or null
+function parseExifDate(value){
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if(!m || m[1] === '0000') return null;
+  const d = new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  return isNaN(d.getTime()) ? null : d.getTime();
+}
+
+function gpsPosition(gps){
+  const dms = v => Array.isArray(v) && v.length === 3 ? v[0] + v[1] / 60 + v[2] / 3600 : null;
+  let lat = dms(gps[TAG.gpsLat]);
+  let lon = dms(gps[TAG.gpsLon]);
+  if(lat === null || lon === null || !isFinite(lat) || !isFinite(lon)) return null;
+  if(gps[TAG.gpsLatRef] === 'S') lat = -lat;
+  if(gps[TAG.gpsLonRef] === 'W') lon = -lon;
+  if(Math.abs(lat) > 90 || Math.abs(lon) > 180 || (lat === 0 && lon === 0)) return null;
+  return { lat, lon };
+}
+
+async function readExif(blob){
+  try {
+    return parseExif(await blob.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+  } catch(e){
+    return null;
+  }
+}
+
+function formatGps(gps){
+  if(!gps) return '';
+  return `${Math.abs(gps.lat).toFixed(4)}°${gps.lat < 0 ? 'S' : 'N'} ${Math.abs(gps.lon).toFixed(4)}°${gps.lon < 0 ? 'W' : 'E'}`;
+}
+
+export { parseExif, readExif, parseExifDate, formatGps };
@@ -0,0 +1,139 @@
+/**
+ * VR Slideshow — Gallery wall
+ * Purpose: The flat 2D presentation ("gallery" viewing mode): the visible panels become tiles
+ * in a grid that fills the window, swapped by the same sequencer with a crossfade. Meant for
+ * a TV, a projector or a cast browser tab, where there is nothing to look around in.
+ *
+ * const wall = createGalleryWall(rootEl, { onAction });
+ * wall.build([{ meta, caption }], fit) -> tile elements (they stand in for the panel entities)
+ * wall.show(tile, meta, caption, durationMs) / wall.setCaption(tile, text) / wall.setState({ paused, captions })
+ * wall.clear()
+ * The toolbar calls onAction(action) with the in-VR menu's action names: prev | pause | next | captions | exit
+ */
+
+const TOOLBAR = [['prev', 'Previous'], ['pause', 'Pause'], ['next', 'Next'], ['captions', 'Captions: on'], ['exit', 'Exit']];
+const OBJECT_FIT = { contain: 'contain', cover: 'cover', stretch: 'fill' };
+
+function createGalleryWall(root, options){
+  const opts = options || {};
+  const onAction = typeof opts.onAction === 'function' ? opts.onAction : ()=>{};
+
+  const grid = document.createElement('div');
+  grid.className = 'galleryTiles';
+  root.appendChild(grid);
+  const bar = document.createElement('div');
+  bar.className = 'galleryBar';
+  const buttons = {};
+  TOOLBAR.forEach(([action, label]) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    // blur so a later Space press means "pause", not "click the last button again"
+    b.addEventListener('click', ()=>{ b.blur(); onAction(action); });
+    bar.appendChild(b);
+    buttons[action] = b;
+  });
+  root.appendChild(bar);
+
+  let tiles = [];
+  let fit = 'contain';
+  const mirrors = new Map();   // canvas -> <video> it copies frames from
+  let mirrorFrame = 0;
+
+  // Clips play on their (offscreen) asset <video>; tiles show them through a canvas
+  function drawMirrors(){
+    mirrorFrame = 0;
+    mirrors.forEach((video, canvas) => {
+      if(!canvas.isConnected){ mirrors.delete(canvas); return; }
+      if(video.readyState < 2 || !video.videoWidth) return;
+      if(canvas.width !== video.videoWidth){ canvas.width = video.videoWidth; canvas.height = video.videoHeight; }
+      canvas.getContext('2d').drawImage(video, 0, 0);
+    });
+    if(mirrors.size) mirrorFrame = requestAnimationFrame(drawMirrors);
+  }
+
+  function makeLayer(meta){
+    let el;
+    if(meta.kind === 'video'){
+      el = document.createElement('canvas');
+      const video = document.getElementById(meta.id);
+      if(video){
+        mirrors.set(el, video);
+        if(!mirrorFrame) mirrorFrame = requestAnimationFrame(drawMirrors);
+      }
+    } else {
+      el = document.createElement('img');
+      el.src = meta.dataUrl;
+      el.alt = meta.caption || meta.name || '';
+    }
+    el.className = 'galleryLayer';
+    el.style.objectFit = OBJECT_FIT[fit] || 'contain';
+    return el;
+  }
+
+  // Columns so the tiles come out roughly as wide as they are tall for this window
+  function layoutGrid(){
+    const n = Math.max(1, tiles.length);
+    const aspect = (window.innerWidth || 16) / Math.max(1, window.innerHeight || 9);
+    const cols = Math.min(n, Math.max(1, Math.ceil(Math.sqrt(n * aspect))));
+    grid.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+    grid.style.gridTemplateRows = `repeat(${Math.ceil(n / cols)}, 1fr)`;
+  }
+  window.addEventListener('resize', ()=>{ if(tiles.length) layoutGrid(); });
+
+  function build(items, fitMode){
+    clear();
+    fit = fitMode || 'contain';
+    tiles = items.map(({ meta, caption }) => {
+      const tile = document.createElement('div');
+      tile.className = 'galleryTile';
+      const cap = document.createElement('div');
+      cap.className = 'galleryCaption';
+      tile.appendChild(cap);
+      tile.insertBefore(makeLayer(meta), cap);
+      tile.dataset.metaId = meta.id;
+      grid.appendChild(tile);
+      setCaption(tile, caption);
+      return tile;
+    });
+    layoutGrid();
+    return tiles.slice();
+  }
+
+  function show(tile, meta, caption, durationMs){
+    const sec = Math.max(0, durationMs || 0) / 1000;
+    const layer = makeLayer(meta);
+    layer.style.opacity = '0';
+    layer.style.transition = `opacity ${sec}s ease-in-out`;
+    tile.insertBefore(layer, tile.querySelector('.galleryCaption'));
+    const old = Array.from(tile.querySelectorAll('.galleryLayer')).filter(l => l !== layer);
+    // next frame, so the browser has the layer at opacity 0 to transition from
+    requestAnimationFrame(()=> requestAnimationFrame(()=>{ layer.style.opacity = '1'; }));
+    setTimeout(()=> old.forEach(l => { mirrors.delete(l); if(l.parentNode) l.parentNode.removeChild(l); }), sec * 1000 + 100);
+    setCaption(tile, caption);
+  }
+
+  function setCaption(tile, text){
+    const cap = tile.querySelector('.galleryCaption');
+    if(!cap) return;
+    cap.textContent = String(text || '').trim();
+    cap.style.display = cap.textContent ? '' : 'none';
+  }
+
+  function setState(state){
+    const s = state || {};
+    buttons.pause.textContent = s.paused ? 'Resume' : 'Pause';
+    buttons.captions.textContent = s.captions ? 'Captions: on' : 'Captions: off';
+  }
+
+  function clear(){
+    if(mirrorFrame){ cancelAnimationFrame(mirrorFrame); mirrorFrame = 0; }
+    mirrors.clear();
+    tiles.forEach(t => { if(t.parentNode) t.parentNode.removeChild(t); });
+    tiles = [];
+  }
+
+  return { build, show, setCaption, setState, clear };
+}
+
+export { createGalleryWall };
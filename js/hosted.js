@@ -0,0 +1,76 @@
+/**
+ * VR Slideshow — Hosted shows and share links
+ * Purpose: Open a prepared show straight from a link. ?show=<manifest URL> loads a playlist manifest
+ * (see js/playlists.js) whose images are files on the same static host, named relative to the
+ * manifest; show settings and the viewing mode can ride along in the query string:
+ *
+ *   index.html?show=trips/lisbon/slideshow.json&replaceInterval=8&layout=ring&view=gallery
+ *
+ * Setting parameters use the playlist setting names (replaceInterval, visiblePanels, layout, fit,
+ * sequence, transition, captions, ...). An image entry's "src" defaults to its "name", so a manifest
+ * saved with "Export manifest" works once the images are uploaded next to it. A link for synced
+ * headsets (js/sync.js) adds &role=follower&relay=<ws(s) URL>&room=<name>.
+ *
+ * parseQuery(search) -> { show, view, settings, sync }   (settings: only the keys present, typed like the defaults;
+ *                                                          sync: { role, relay, room }, only the keys present)
+ * buildShareUrl(pageUrl, { show, view, settings, sync }) -> string   (settings equal to the defaults are left out)
+ * loadManifest(url) -> Promise<{ manifest, baseUrl }>           (rejects with the validation problems)
+ * resolveUrl(src, baseUrl) -> absolute URL
+ * entrySource(entry, baseUrl) -> the entry's embedded data URL ("Export bundle"), else its src resolved
+ */
+
+import { DEFAULT_SETTINGS, normalizeSettings, validateManifest } from './playlists.js';
+
+const SYNC_KEYS = ['role', 'relay', 'room'];
+
+// Query values are strings: coerce each to the type of its default
+function parseQuery(search){
+  const params = new URLSearchParams(search || '');
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if(!params.has(key)) return;
+    const raw = params.get(key);
+    const def = DEFAULT_SETTINGS[key];
+    if(typeof def === 'boolean') settings[key] = raw === '' || raw === '1' || raw.toLowerCase() === 'true';
+    else if(typeof def === 'number'){ const n = parseFloat(raw); if(isFinite(n)) settings[key] = n; }
+    else settings[key] = raw;
+  });
+  const sync = {};
+  SYNC_KEYS.forEach(key => { if(params.get(key)) sync[key] = params.get(key); });
+  return { show: params.get('show') || null, view: params.get('view') || null, settings, sync };
+}
+
+function buildShareUrl(pageUrl, opts){
+  const o = opts || {};
+  const url = new URL(pageUrl);
+  url.search = '';
+  url.hash = '';
+  if(o.show) url.searchParams.set('show', o.show);
+  if(o.view) url.searchParams.set('view', o.view);
+  if(o.sync) SYNC_KEYS.forEach(key => { if(o.sync[key]) url.searchParams.set(key, o.sync[key]); });
+  const settings = normalizeSettings(o.settings);
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if(settings[key] !== DEFAULT_SETTINGS[key]) url.searchParams.set(key, typeof settings[key] === 'boolean' ? (settings[key] ? '1' : '0') : String(settings[key]));
+  });
+  return url.toString();
+}
+
+function resolveUrl(src, baseUrl){ return new URL(src, baseUrl).toString(); }
+function entrySource(entry, baseUrl){ return entry.data || resolveUrl(entry.src, baseUrl); }
+
+async function loadManifest(url){
+  const absolute = resolveUrl(url, window.location.href);
+  const res = await fetch(absolute, { cache: 'no-cache' });
+  if(!res.ok) throw new Error(`${res.status} ${res.statusText || 'error'} for ${absolute}`);
+  let manifest;
+  try { manifest = await res.json(); }
+  catch(e){ throw new Error(`${absolute} is not valid JSON`); }
+  if(manifest && Array.isArray(manifest.images)){
+    manifest.images.forEach(img => { if(img && typeof img === 'object' && img.src === undefined && !img.data) img.src = img.name; });
+  }
+  const errors = validateManifest(manifest);
+  if(errors.length) throw new Error(errors.join('; '));
+  return { manifest, baseUrl: absolute };
+}
+
+export { parseQuery, buildShareUrl, loadManifest, resolveUrl, entrySource };
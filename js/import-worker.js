@@ -0,0 +1,54 @@
+/**
+ * VR Slideshow — Import worker
+ * Purpose: Decode and downscale picked photos off the main thread (createImageBitmap + OffscreenCanvas),
+ * so adding a few hundred photos doesn't freeze the setup page. Driven by createImageDecoder in
+ * js/importer.js; one bitmap per job lives here between its two steps.
+ *
+ *   { type: 'decode', id, blob }                        -> { id, ok, width, height }   (upright size)
+ *   { type: 'encode', id, maxDim, forcePot, force, mimeType } -> { id, ok, blob, width, height }
+ *                                                           (blob null: the original is fine as it is)
+ *   { type: 'release', id }                             (no reply)
+ *   Failures reply { id, ok: false, error }.
+ */
+
+import { computeTargetSize } from './textures.js';
+
+const bitmaps = new Map();
+
+async function decode(msg){
+  const bitmap = await createImageBitmap(msg.blob, { imageOrientation: 'from-image' });
+  bitmaps.set(msg.id, bitmap);
+  return { width: bitmap.width, height: bitmap.height };
+}
+
+async function encode(msg){
+  const bitmap = bitmaps.get(msg.id);
+  if(!bitmap) throw new Error('Nothing decoded for this image');
+  const target = computeTargetSize(bitmap.width, bitmap.height, msg.maxDim, msg.forcePot);
+  if(!msg.force && !target.resized) return { blob: null, width: bitmap.width, height: bitmap.height };
+  const canvas = new OffscreenCanvas(target.width, target.height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, target.width, target.height);
+  const blob = await canvas.convertToBlob({ type: msg.mimeType, quality: 0.9 });
+  return { blob, width: target.width, height: target.height };
+}
+
+function release(id){
+  const bitmap = bitmaps.get(id);
+  bitmaps.delete(id);
+  if(bitmap && bitmap.close) bitmap.close();
+}
+
+self.onmessage = async (evt)=>{
+  const msg = evt.data;
+  if(msg.type === 'release'){ release(msg.id); return; }
+  try {
+    const result = msg.type === 'decode' ? await decode(msg) : await encode(msg);
+    self.postMessage(Object.assign({ id: msg.id, ok: true }, result));
+  } catch(e){
+    if(msg.type === 'decode') release(msg.id);
+    self.postMessage({ id: msg.id, ok: false, error: (e && e.message) || String(e) });
+  }
+};
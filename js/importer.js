@@ -0,0 +1,271 @@
+/**
+ * VR Slideshow — Import helpers
+ * Purpose: Reading picked files: the data URL thumbnails and <img> assets use, the pixel size of an image
+ * before it is downscaled or laid out, and the import pipeline around them: photos are decoded and
+ * downscaled in workers (js/import-worker.js), several at a time, duplicates are recognised by content,
+ * and one bad file is reported instead of ending the batch.
+ *
+ * fileToDataURL(blob) -> Promise<'data:...'>
+ * getImageDimensionsFromDataUrl(dataUrl) -> Promise<{ width, height }>   (rejects if the image can't be decoded)
+ * sniffImageType(bytes) -> 'image/jpeg' | 'image/png' | 'image/gif' | 'image/webp' | 'image/heic' | 'image/avif' | ''
+ * readImageType(blob) -> Promise<type>   (from the file's first bytes, else blob.type; Quest often leaves type empty)
+ * isImageFile(file) / needsReencode(type)   (HEIC and AVIF are stored as JPEG, so the library opens anywhere)
+ * contentKey(blob) -> Promise<'sha256:<hex>'>   (files over HASH_MAX_BYTES: 'file:<name>:<size>:<lastModified>')
+ * describeImportError(err, type) -> a reason to show next to the file name
+ * createImageDecoder({ workers }) -> { decode(blob, type) -> Promise<image>, close() }
+ *   image: { width, height, encode({ maxDim, forcePot, force }) -> Promise<{ blob, width, height }>, release() }
+ *   Falls back to the main thread where workers can't decode (no OffscreenCanvas).
+ * runImports(items, { concurrency, prepare(item), commit(prepared, item), onProgress({ done, total }) })
+ *   -> Promise<{ committed, failures: [{ item, error }] }>   prepare runs concurrently; commit runs in item order
+ * collectDroppedFiles(dataTransfer) -> Promise<File[]>   (walks dropped folders)
+ */
+
+import { downscaleBlob } from './textures.js';
+
+const HASH_MAX_BYTES = 64 * 1024 * 1024;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|heic|heif|avif|bmp)$/i;
+const REENCODE_TYPES = ['image/heic', 'image/heif', 'image/avif'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+function fileToDataURL(file){
+  return new Promise((resolve,reject)=>{
+    const reader = new FileReader();
+    reader.onerror = ()=> reject(new Error('FileReader error'));
+    reader.onload = ()=> resolve(reader.result);
+    reader.readAsDataURL(file);
+  });
+}
+
+function getImageDimensionsFromDataUrl(dataUrl){
+  return new Promise((resolve,reject)=>{
+    const img = new Image();
+    img.onload = ()=> resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = ()=> reject(new Error('Image decode failed'));
+    img.src = dataUrl;
+  });
+}
+
+// File signatures; HEIC and AVIF are ISO media files told apart by their "ftyp" brands
+function sniffImageType(bytes){
+  const b = bytes || [];
+  const ascii = (start, end) => String.fromCharCode.apply(null, Array.from(b.slice(start, end)));
+  if(b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF) return 'image/jpeg';
+  if(b[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if(ascii(0, 4) === 'GIF8') return 'image/gif';
+  if(ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if(ascii(4, 8) === 'ftyp'){
+    const boxEnd = Math.min(b.length, ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0);
+    const brands = [ascii(8, 12)];
+    for(let i = 16; i + 4 <= boxEnd; i += 4) brands.push(ascii(i, i + 4));
+    if(brands.includes('avif') || brands.includes('avis')) return 'image/avif';
+    if(brands.some(brand => HEIC_BRANDS.includes(brand))) return 'image/heic';
+  }
+  return '';
+}
+
+async function readImageType(blob){
+  try {
+    const head = new Uint8Array(await blob.slice(0, 64).arrayBuffer());
+    return sniffImageType(head) || blob.type || '';
+  } catch(e){
+    return blob.type || '';
+  }
+}
+
+function isImageFile(file){
+  const type = (file && file.type) || '';
+  return type.indexOf('image/') === 0 || IMAGE_EXTENSIONS.test((file && file.name) || '');
+}
+function needsReencode(type){ return REENCODE_TYPES.includes(type); }
+
+// Same bytes, same key: picking a photo twice (or the same photo from another folder) adds it once
+async function contentKey(blob){
+  if(blob.size > HASH_MAX_BYTES || !(globalThis.crypto && crypto.subtle)){
+    return `file:${blob.name || ''}:${blob.size}:${blob.lastModified || 0}`;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return 'sha256:' + Array.from(new Uint8Array(digest), x => x.toString(16).padStart(2, '0')).join('');
+}
+
+function describeImportError(err, type){
+  const message = (err && err.message) || String(err);
+  if(type === 'image/heic') return 'HEIC photos can\'t be opened by this browser (convert them to JPEG, or set the camera to "Most compatible")';
+  if(type === 'image/avif') return 'AVIF images can\'t be opened by this browser';
+  if(/decode|source image|InvalidState/i.test(message)) return 'not a readable image';
+  return message;
+}
+
+// PNG keeps its transparency; everything else is stored as JPEG (as downscaleBlob does)
+function outputType(type){ return type === 'image/png' ? 'image/png' : 'image/jpeg'; }
+
+function canUseWorkers(){
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+}
+
+// Main thread: the <img> decode and canvas downscale the page always used
+async function decodeOnPage(blob){
+  const dims = await getImageDimensionsFromDataUrl(await fileToDataURL(blob));
+  return {
+    width: dims.width,
+    height: dims.height,
+    encode: opts => downscaleBlob(blob, dims, opts.maxDim, opts.forcePot, opts.force),
+    release(){}
+  };
+}
+
+function createImageDecoder(options){
+  const opts = options || {};
+  const size = Math.max(1, opts.workers || 2);
+  const workers = [];
+  const pending = new Map();   // job id -> { worker, resolve, reject }
+  let nextJob = 1;
+  let turn = 0;
+  let useWorkers = canUseWorkers();
+
+  function spawn(){
+    const worker = new Worker(new URL('./import-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (evt)=>{
+      const job = pending.get(evt.data.id);
+      if(!job) return;
+      pending.delete(evt.data.id);
+      if(evt.data.ok) job.resolve(evt.data); else job.reject(new Error(evt.data.error));
+    };
+    // a worker that fails to start (or dies) hands its jobs back: they are decoded on the page instead
+    worker.onerror = (evt)=>{
+      if(evt && evt.preventDefault) evt.preventDefault();
+      useWorkers = false;
+      pending.forEach((job, id) => {
+        if(job.worker !== worker) return;
+        pending.delete(id);
+        const err = new Error('Import worker stopped');
+        err.workerFailed = true;
+        job.reject(err);
+      });
+    };
+    return worker;
+  }
+  function pickWorker(){
+    if(workers.length < size) workers.push(spawn());
+    return workers[turn++ % workers.length];
+  }
+  function call(worker, msg){
+    return new Promise((resolve,reject)=>{
+      pending.set(msg.id, { worker, resolve, reject });
+      worker.postMessage(msg);
+    });
+  }
+
+  async function decode(blob, type){
+    if(!useWorkers) return decodeOnPage(blob);
+    const id = nextJob++;
+    let worker;
+    let dims;
+    try {
+      worker = pickWorker();
+      dims = await call(worker, { type: 'decode', id, blob });
+    } catch(e){
+      if(e.workerFailed || !worker){ useWorkers = false; return decodeOnPage(blob); }
+      throw e;
+    }
+    return {
+      width: dims.width,
+      height: dims.height,
+      encode: async o => {
+        const out = await call(worker, { type: 'encode', id, maxDim: o.maxDim, forcePot: o.forcePot, force: o.force, mimeType: outputType(type || blob.type) });
+        return { blob: out.blob || blob, width: out.width, height: out.height };
+      },
+      release(){ worker.postMessage({ type: 'release', id }); }
+    };
+  }
+
+  function close(){
+    workers.splice(0).forEach(w => w.terminate());
+    pending.clear();
+  }
+
+  return { decode, close };
+}
+
+// Prepare several items at once but commit them in the order given, so the library keeps the pick
+// order; a failure is recorded for its item and the rest carry on
+async function runImports(items, options){
+  const opts = options || {};
+  const list = Array.from(items || []);
+  const concurrency = Math.max(1, opts.concurrency || 1);
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : ()=>{};
+  const prepared = new Array(list.length);
+  const failures = [];
+  let committed = 0;
+  let done = 0;
+  let next = 0;
+  let commitNext = 0;
+  let commitChain = Promise.resolve();
+
+  // commits stay strictly sequential: each waits for the one before it
+  function flush(){
+    while(commitNext < list.length && prepared[commitNext]){
+      const i = commitNext++;
+      const result = prepared[i];
+      prepared[i] = null;
+      commitChain = commitChain.then(async ()=>{
+        if(result.ok){
+          try { await opts.commit(result.value, list[i]); committed++; }
+          catch(error){ failures.push({ item: list[i], error }); }
+        } else failures.push({ item: list[i], error: result.error });
+        onProgress({ done: ++done, total: list.length });
+      });
+    }
+  }
+
+  async function lane(){
+    while(next < list.length){
+      const i = next++;
+      try { prepared[i] = { ok: true, value: await opts.prepare(list[i]) }; }
+      catch(error){ prepared[i] = { ok: false, error }; }
+      flush();
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, lane));
+  await commitChain;
+  return { committed, failures };
+}
+
+// Dropped folders arrive as entries to walk; readEntries hands them over in batches until it returns none
+function readAllEntries(dirEntry){
+  const reader = dirEntry.createReader();
+  const all = [];
+  return new Promise((resolve,reject)=>{
+    const batch = ()=> reader.readEntries(entries => {
+      if(!entries.length){ resolve(all); return; }
+      all.push(...entries);
+      batch();
+    }, reject);
+    batch();
+  });
+}
+async function filesFromEntry(entry){
+  if(entry.isFile) return [await new Promise((resolve,reject)=> entry.file(resolve, reject))];
+  if(!entry.isDirectory) return [];
+  const out = [];
+  for(const child of await readAllEntries(entry)) out.push(...await filesFromEntry(child));
+  return out;
+}
+
+async function collectDroppedFiles(dataTransfer){
+  const items = Array.from((dataTransfer && dataTransfer.items) || []);
+  const entries = items.map(item => item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+  if(!entries.some(Boolean)) return Array.from((dataTransfer && dataTransfer.files) || []);
+  const files = [];
+  for(const entry of entries){
+    if(!entry) continue;
+    try { files.push(...await filesFromEntry(entry)); }
+    catch(e){ console.warn('Could not read dropped item', entry.name, e); }
+  }
+  return files;
+}
+
+export {
+  HASH_MAX_BYTES, fileToDataURL, getImageDimensionsFromDataUrl, sniffImageType, readImageType, isImageFile, needsReencode,
+  contentKey, describeImportError, createImageDecoder, runImports, collectDroppedFiles
+};
@@ -0,0 +1,231 @@
+/**
+ * VR Slideshow — Panel interaction
+ * Purpose: Quest controller (laser) and gaze-cursor interaction with curved panels.
+ *
+ * Controller mapping (either hand):
+ *   trigger      -> enlarge / restore the pointed panel (gaze: fuse click does the same)
+ *   grip (hold)  -> grab the panel and drag it to a new yaw/elevation
+ *   A / X        -> pin / unpin (pinned panels are never picked by replaceOnePanel)
+ *   B / Y        -> skip (force an immediate replacement)
+ *
+ * Per-panel interaction state lives on the panel's dataset next to dataset.metaId:
+ *   dataset.pinned / dataset.enlarged / dataset.grabbed === 'true' when active.
+ * <a-entity panel-interactive="reducedMotion: true"> enlarges and restores without animating
+ * (and skips the hover grow).
+ */
+
+const ENLARGE_DISTANCE = 1.1;
+const ENLARGE_SCALE = 1.8;
+const ENLARGE_DURATION_MS = 400;
+const GRAB_MAX_ELEVATION_DEG = 60;
+const HOVER_SCALE = 1.04;
+
+function isFlag(el, key){ return !!(el && el.dataset && el.dataset[key] === 'true'); }
+function setFlag(el, key, on){ if(on) el.dataset[key] = 'true'; else delete el.dataset[key]; }
+
+// A panel is "locked" when replaceOnePanel must leave it alone
+function isPanelLocked(el){
+  return isFlag(el, 'pinned') || isFlag(el, 'enlarged') || isFlag(el, 'grabbed');
+}
+
+function cameraWorldPosition(sceneEl){
+  const cam = sceneEl && sceneEl.camera;
+  const v = new THREE.Vector3();
+  if(cam) cam.getWorldPosition(v); else v.set(0, 1.6, 0);
+  return v;
+}
+
+// Panel-side state: pin, enlarge, grab, skip
+AFRAME.registerComponent('panel-interactive', {
+  schema: {
+    reducedMotion: { type: 'boolean', default: false }
+  },
+  init: function(){
+    this.el.classList.add('interactive');
+    this.home = null;
+    this.grabPointer = null;
+    this.grabDistance = 0;
+    this.pinMarker = null;
+    this.onClick = this.onClick.bind(this);
+    this.onEnter = ()=>{ if(!this.data.reducedMotion && !isFlag(this.el, 'enlarged') && !isFlag(this.el, 'grabbed')) this.el.object3D.scale.setScalar(HOVER_SCALE); };
+    this.onLeave = ()=>{ if(!isFlag(this.el, 'enlarged') && !isFlag(this.el, 'grabbed')) this.el.object3D.scale.setScalar(1); };
+    this.el.addEventListener('click', this.onClick);
+    this.el.addEventListener('mouseenter', this.onEnter);
+    this.el.addEventListener('mouseleave', this.onLeave);
+  },
+  remove: function(){
+    this.el.classList.remove('interactive');
+    this.el.removeEventListener('click', this.onClick);
+    this.el.removeEventListener('mouseenter', this.onEnter);
+    this.el.removeEventListener('mouseleave', this.onLeave);
+    if(this.pinMarker && this.pinMarker.parentNode) this.pinMarker.parentNode.removeChild(this.pinMarker);
+  },
+  onClick: function(){
+    if(isFlag(this.el, 'grabbed')) return;
+    this.toggleEnlarge();
+  },
+
+  togglePin: function(){
+    const on = !isFlag(this.el, 'pinned');
+    setFlag(this.el, 'pinned', on);
+    if(on && !this.pinMarker){
+      const cp = this.el.getAttribute('curved-panel') || {};
+      const marker = document.createElement('a-circle');
+      marker.setAttribute('radius', 0.05);
+      marker.setAttribute('color', '#ffd47a');
+      marker.setAttribute('material', 'shader: flat');
+      marker.setAttribute('position', `${(cp.width||1.2)/2 - 0.08} ${(cp.height||0.8)/2 - 0.08} 0.02`);
+      this.el.appendChild(marker);
+      this.pinMarker = marker;
+    } else if(!on && this.pinMarker){
+      if(this.pinMarker.parentNode) this.pinMarker.parentNode.removeChild(this.pinMarker);
+      this.pinMarker = null;
+    }
+    this.el.emit('panel-pin-changed', { pinned: on, metaId: this.el.dataset.metaId });
+  },
+
+  skip: function(){
+    if(isFlag(this.el, 'enlarged')) this.toggleEnlarge();
+    this.el.emit('panel-skip', { metaId: this.el.dataset.metaId });
+  },
+
+  enlargeDuration: function(){ return this.data.reducedMotion ? 0 : ENLARGE_DURATION_MS; },
+
+  toggleEnlarge: function(){
+    const el = this.el;
+    const obj = el.object3D;
+    if(isFlag(el, 'enlarged')){
+      setFlag(el, 'enlarged', false);
+      const home = this.home || { position: obj.position.clone(), scale: 1 };
+      this.home = null;
+      el.setAttribute('animation__enlargepos', { property: 'position', to: `${home.position.x} ${home.position.y} ${home.position.z}`, dur: this.enlargeDuration(), easing: 'easeOutQuad' });
+      el.setAttribute('animation__enlargescale', { property: 'scale', to: `${home.scale} ${home.scale} ${home.scale}`, dur: this.enlargeDuration(), easing: 'easeOutQuad' });
+      el.emit('panel-enlarge-changed', { enlarged: false, metaId: el.dataset.metaId });
+      return;
+    }
+
+    // Only one panel enlarged at a time
+    const others = el.parentNode ? el.parentNode.querySelectorAll('[data-enlarged="true"]') : [];
+    others.forEach(o => { if(o !== el && o.components['panel-interactive']) o.components['panel-interactive'].toggleEnlarge(); });
+
+    this.home = { position: obj.position.clone(), scale: 1 };
+    setFlag(el, 'enlarged', true);
+
+    // Front-and-center: along the camera's view direction, at eye height
+    const camPos = cameraWorldPosition(el.sceneEl);
+    const dir = new THREE.Vector3(0, 0, -1);
+    if(el.sceneEl && el.sceneEl.camera) el.sceneEl.camera.getWorldDirection(dir);
+    dir.y = 0;
+    if(dir.lengthSq() < 1e-6) dir.set(0, 0, -1);
+    dir.normalize();
+    const target = camPos.clone().add(dir.multiplyScalar(ENLARGE_DISTANCE));
+    if(obj.parent){ obj.parent.updateMatrixWorld(); obj.parent.worldToLocal(target); }
+
+    el.setAttribute('animation__enlargepos', { property: 'position', to: `${target.x} ${target.y} ${target.z}`, dur: this.enlargeDuration(), easing: 'easeOutQuad' });
+    el.setAttribute('animation__enlargescale', { property: 'scale', to: `${ENLARGE_SCALE} ${ENLARGE_SCALE} ${ENLARGE_SCALE}`, dur: this.enlargeDuration(), easing: 'easeOutQuad' });
+    el.emit('panel-enlarge-changed', { enlarged: true, metaId: el.dataset.metaId });
+  },
+
+  startGrab: function(pointerEl){
+    if(isFlag(this.el, 'enlarged')) this.toggleEnlarge();
+    const camPos = cameraWorldPosition(this.el.sceneEl);
+    const worldPos = new THREE.Vector3();
+    this.el.object3D.getWorldPosition(worldPos);
+    this.grabDistance = Math.max(0.5, worldPos.distanceTo(camPos));
+    this.grabPointer = pointerEl;
+    setFlag(this.el, 'grabbed', true);
+    this.el.object3D.scale.setScalar(1);
+  },
+  endGrab: function(){
+    if(!isFlag(this.el, 'grabbed')) return;
+    this.grabPointer = null;
+    setFlag(this.el, 'grabbed', false);
+    this.el.emit('panel-moved', { metaId: this.el.dataset.metaId, yawDeg: parseFloat(this.el.dataset.yawDeg), elevationDeg: parseFloat(this.el.dataset.elevationDeg) });
+  },
+
+  tick: function(){
+    if(!this.grabPointer || !isFlag(this.el, 'grabbed')) return;
+    const pointerObj = this.grabPointer.object3D;
+    const dir = new THREE.Vector3(0, 0, -1);
+    pointerObj.getWorldDirection(dir);
+    dir.negate(); // getWorldDirection returns +Z; controller rays point down -Z
+    if(dir.lengthSq() < 1e-6) return;
+    dir.normalize();
+
+    // Re-project the pointer direction onto the panel sphere around the camera
+    let yaw = Math.atan2(dir.x, -dir.z);
+    let elev = Math.asin(Math.max(-1, Math.min(1, dir.y)));
+    const maxElev = GRAB_MAX_ELEVATION_DEG * Math.PI/180;
+    elev = Math.max(-maxElev, Math.min(maxElev, elev));
+
+    const camPos = cameraWorldPosition(this.el.sceneEl);
+    const r = this.grabDistance;
+    const target = new THREE.Vector3(
+      camPos.x + r * Math.cos(elev) * Math.sin(yaw),
+      camPos.y + r * Math.sin(elev),
+      camPos.z - r * Math.cos(elev) * Math.cos(yaw)
+    );
+    const obj = this.el.object3D;
+    if(obj.parent){ obj.parent.updateMatrixWorld(); obj.parent.worldToLocal(target); }
+    obj.position.copy(target);
+
+    this.el.dataset.yawDeg = String((yaw * 180/Math.PI + 360) % 360);
+    this.el.dataset.elevationDeg = String(elev * 180/Math.PI);
+  }
+});
+
+// Pointer-side: maps controller buttons onto whatever panel the pointer ray hits
+AFRAME.registerComponent('panel-pointer', {
+  init: function(){
+    this.grabbed = null;
+    this.handlers = {
+      gripdown: ()=> this.grab(),
+      gripup: ()=> this.release(),
+      abuttondown: ()=> this.call('togglePin'),
+      xbuttondown: ()=> this.call('togglePin'),
+      bbuttondown: ()=> this.call('skip'),
+      ybuttondown: ()=> this.call('skip'),
+      controllerconnected: ()=> this.el.sceneEl.emit('pointer-controller-connected', { hand: this.el.id })
+    };
+    Object.keys(this.handlers).forEach(evt => this.el.addEventListener(evt, this.handlers[evt]));
+  },
+  remove: function(){
+    Object.keys(this.handlers).forEach(evt => this.el.removeEventListener(evt, this.handlers[evt]));
+    this.release();
+  },
+  hoveredPanel: function(){
+    const ray = this.el.components.raycaster;
+    if(!ray || !ray.intersectedEls) return null;
+    // nearest hit only: the in-VR menu (or an enlarged panel) in front blocks whatever is behind it
+    const hit = ray.intersectedEls[0];
+    return hit && hit.components && hit.components['panel-interactive'] ? hit : null;
+  },
+  call: function(method){
+    const panel = this.hoveredPanel();
+    if(panel) panel.components['panel-interactive'][method]();
+  },
+  grab: function(){
+    const panel = this.hoveredPanel();
+    if(!panel) return;
+    this.grabbed = panel;
+    panel.components['panel-interactive'].startGrab(this.el);
+  },
+  release: function(){
+    if(this.grabbed && this.grabbed.components['panel-interactive']) this.grabbed.components['panel-interactive'].endGrab();
+    this.grabbed = null;
+  }
+});
+
+// Gaze cursor is only a fallback: hide it once a tracked controller shows up
+AFRAME.registerComponent('gaze-fallback', {
+  init: function(){
+    this.onConnected = ()=>{
+      this.el.setAttribute('raycaster', 'enabled', false);
+      this.el.setAttribute('visible', false);
+    };
+    this.el.sceneEl.addEventListener('pointer-controller-connected', this.onConnected);
+  },
+  remove: function(){ this.el.sceneEl.removeEventListener('pointer-controller-connected', this.onConnected); }
+});
+
+export { isPanelLocked };
@@ -0,0 +1,209 @@
+/**
+ * VR Slideshow — Panel layout engine
+ * Purpose: Decide where panels sit on the viewing sphere around the camera.
+ *
+ * Every strategy is a pure function (no DOM, no A-Frame/THREE):
+ *   strategy(panels, options) -> { placements: [{ yawDeg, elevationDeg }], scale, overlaps }
+ *   panels:  [{ width, height }] in metres, in slot order
+ *   options: { radius, bandElevationDeg, minSeparationDeg, gapDeg, arcDeg, arcElevationDeg, random }
+ * "scale" (<= 1) asks the caller to shrink every panel so the layout fits;
+ * "overlaps" counts panels that could not be placed without overlapping.
+ *
+ * Yaw 0 is straight ahead (-Z), positive yaw turns right; elevation is up from eye level.
+ */
+
+const DEG = Math.PI / 180;
+const DEFAULTS = { radius: 1.8, bandElevationDeg: 25, minSeparationDeg: 28, gapDeg: 4, arcDeg: 180, arcElevationDeg: 40, random: Math.random };
+const SCATTER_ATTEMPTS = 60;
+const SHRINK_STEP = 0.92;
+const SHRINK_ATTEMPTS = 30;
+
+function withDefaults(options){ return Object.assign({}, DEFAULTS, options || {}); }
+function sum(arr){ return arr.reduce((a,b)=> a + b, 0); }
+
+// Angle subtended by a flat extent at a given distance
+function angularSizeDeg(extent, radius){ return 2 * Math.atan((extent / 2) / Math.max(1e-6, radius)) / DEG; }
+// Horizontal angle a panel needs at an elevation: the ring at that elevation is smaller (radius * cos)
+function angularWidthDeg(width, radius, elevationDeg){ return angularSizeDeg(width, radius * Math.cos((elevationDeg || 0) * DEG)); }
+function angularHeightDeg(height, radius){ return angularSizeDeg(height, radius); }
+
+// Shortest absolute difference between two yaws, 0..180
+function yawDistance(a, b){ return Math.abs(((a - b + 180) % 360 + 360) % 360 - 180); }
+function normalizeYaw(y){ return ((y % 360) + 360) % 360; }
+
+// Camera-centred sphere position; theta is the yaw in radians used for the entity rotation
+function positionFromAngles(yawDeg, elevationDeg, radius, eyeHeight){
+  const yaw = yawDeg * DEG;
+  const elev = elevationDeg * DEG;
+  const x = radius * Math.cos(elev) * Math.sin(yaw);
+  const y = (eyeHeight || 0) + radius * Math.sin(elev);
+  const z = -radius * Math.cos(elev) * Math.cos(yaw);
+  const theta = Math.atan2(x, -z);
+  return { x, y, z, theta, yawDeg, elevationDeg };
+}
+
+// Legacy Rev 2.4 behaviour: random yaw keeping centres minSeparationDeg apart, random elevation in the band.
+// When no random yaw works, fall back to the middle of the widest free gap instead of an arbitrary spot.
+function scatter(panels, options){
+  const o = withDefaults(options);
+  const used = [];
+  const placements = [];
+  let overlaps = 0;
+  panels.forEach(()=>{
+    let yaw = null;
+    for(let attempt=0; attempt<SCATTER_ATTEMPTS && yaw === null; attempt++){
+      const candidate = o.random() * 360;
+      if(used.every(u => yawDistance(candidate, u) >= o.minSeparationDeg)) yaw = candidate;
+    }
+    if(yaw === null){
+      yaw = widestGapCentre(used);
+      if(used.some(u => yawDistance(yaw, u) < o.minSeparationDeg)) overlaps++;
+    }
+    used.push(yaw);
+    placements.push({ yawDeg: yaw, elevationDeg: (o.random() * 2 - 1) * o.bandElevationDeg });
+  });
+  return { placements, scale: 1, overlaps };
+}
+
+function widestGapCentre(yaws){
+  if(!yaws.length) return 0;
+  const sorted = yaws.map(normalizeYaw).sort((a,b)=> a - b);
+  let best = 0; let bestCentre = 0;
+  sorted.forEach((y,i)=>{
+    const next = i === sorted.length-1 ? sorted[0] + 360 : sorted[i+1];
+    if(next - y > best){ best = next - y; bestCentre = normalizeYaw(y + (next - y) / 2); }
+  });
+  return bestCentre;
+}
+
+// Evenly spaced ring at eye level, starting straight ahead
+function ring(panels, options){
+  const o = withDefaults(options);
+  const n = panels.length;
+  if(!n) return { placements: [], scale: 1, overlaps: 0 };
+  const step = 360 / n;
+  // every neighbour pair must fit in one step: shrink until the widest pair does
+  let scale = 1;
+  for(let i=0; i<SHRINK_ATTEMPTS; i++){
+    const widths = panels.map(p => angularWidthDeg(p.width * scale, o.radius));
+    const worst = n === 1 ? 0 : Math.max(...widths.map((w,j)=> (w + widths[(j+1) % n]) / 2 + o.gapDeg));
+    if(worst <= step) break;
+    scale *= SHRINK_STEP;
+  }
+  return {
+    placements: panels.map((p,i)=> ({ yawDeg: normalizeYaw(i * step), elevationDeg: 0 })),
+    scale,
+    overlaps: 0
+  };
+}
+
+// Split items (in order) into `count` rows of near-equal length
+function splitRows(items, count){
+  const rows = [];
+  const base = Math.floor(items.length / count);
+  let extra = items.length % count;
+  let at = 0;
+  for(let r=0; r<count; r++){
+    const len = base + (extra-- > 0 ? 1 : 0);
+    if(len > 0) rows.push(items.slice(at, at + len));
+    at += len;
+  }
+  return rows;
+}
+
+/**
+ * Shared row packer for grid / arc / packed.
+ * cfg: { spanDeg, centreYawDeg, maxRows, maxElevationDeg, mode: 'compact' | 'spread-arc' | 'spread-ring', jitter }
+ * Tries 1..maxRows rows at the current scale, then shrinks; panels never overlap in a returned fit.
+ */
+function rowLayout(panels, o, cfg){
+  const n = panels.length;
+  if(!n) return { placements: [], scale: 1, overlaps: 0 };
+  const indices = panels.map((p,i)=> i);
+  let scale = 1;
+  for(let attempt=0; attempt<SHRINK_ATTEMPTS; attempt++, scale *= SHRINK_STEP){
+    for(let rowCount=1; rowCount<=Math.min(cfg.maxRows, n); rowCount++){
+      const result = tryRows(panels, o, cfg, splitRows(indices, rowCount), scale);
+      if(result) return { placements: result, scale, overlaps: 0 };
+    }
+  }
+  // Give up shrinking: place at the smallest scale in the most rows and report overlaps
+  const rows = splitRows(indices, Math.min(cfg.maxRows, n));
+  const forced = tryRows(panels, o, Object.assign({}, cfg, { force: true }), rows, scale);
+  return { placements: forced, scale, overlaps: n };
+}
+
+function tryRows(panels, o, cfg, rows, scale){
+  const heights = rows.map(row => Math.max(...row.map(i => angularHeightDeg(panels[i].height * scale, o.radius))));
+  const totalHeight = sum(heights) + o.gapDeg * (rows.length - 1);
+  if(!cfg.force && totalHeight / 2 > cfg.maxElevationDeg) return null;
+
+  const placements = new Array(panels.length);
+  let top = totalHeight / 2;
+  for(let r=0; r<rows.length; r++){
+    const row = rows[r];
+    const rowElev = top - heights[r] / 2;
+    top -= heights[r] + o.gapDeg;
+
+    const widths = row.map(i => angularWidthDeg(panels[i].width * scale, o.radius, rowElev));
+    const used = sum(widths);
+    const ringMode = cfg.mode === 'spread-ring';
+    const needed = used + o.gapDeg * (ringMode ? row.length : row.length - 1);
+    if(!cfg.force && needed > cfg.spanDeg) return null;
+
+    // spacing between neighbouring panel edges
+    let gap = o.gapDeg;
+    if(cfg.mode === 'spread-ring') gap = (cfg.spanDeg - used) / row.length;
+    else if(cfg.mode === 'spread-arc' && row.length > 1) gap = (cfg.spanDeg - used) / (row.length - 1);
+
+    const span = used + gap * (ringMode ? row.length : row.length - 1);
+    let cursor = ringMode ? cfg.centreYawDeg + o.random() * 360 : cfg.centreYawDeg - span / 2;
+    row.forEach((i,k)=>{
+      const yaw = cursor + widths[k] / 2;
+      cursor += widths[k] + gap;
+      // vertical slack inside the row can be used for variety without risking overlap
+      const h = angularHeightDeg(panels[i].height * scale, o.radius);
+      let slack = (heights[r] - h) / 2;
+      if(rows.length === 1 && cfg.jitter) slack = Math.max(slack, cfg.maxElevationDeg - h / 2);
+      const jitter = cfg.jitter ? (o.random() * 2 - 1) * Math.max(0, slack) : 0;
+      placements[i] = { yawDeg: normalizeYaw(yaw), elevationDeg: rowElev + jitter };
+    });
+  }
+  return placements;
+}
+
+// Multi-row wall straight ahead, compact spacing
+function grid(panels, options){
+  const o = withDefaults(options);
+  return rowLayout(panels, o, { spanDeg: 160, centreYawDeg: 0, maxRows: 4, maxElevationDeg: 45, mode: 'compact' });
+}
+
+// Front-facing arc (default 180 deg, up to 40 deg above and below eye level) for seated viewing, spread evenly across the arc
+function arc(panels, options){
+  const o = withDefaults(options);
+  return rowLayout(panels, o, { spanDeg: o.arcDeg, centreYawDeg: 0, maxRows: 3, maxElevationDeg: o.arcElevationDeg, mode: 'spread-arc' });
+}
+
+// Non-overlapping packer around the full circle inside the elevation band, using real angular sizes
+function packed(panels, options){
+  const o = withDefaults(options);
+  return rowLayout(panels, o, { spanDeg: 360, centreYawDeg: 0, maxRows: 4, maxElevationDeg: o.bandElevationDeg, mode: 'spread-ring', jitter: true });
+}
+
+const STRATEGIES = { scatter, ring, grid, arc, packed };
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+function computeLayout(name, panels, options){
+  const strategy = STRATEGIES[name] || STRATEGIES.scatter;
+  return strategy(panels, options);
+}
+
+export {
+  STRATEGY_NAMES,
+  STRATEGIES as strategies,
+  computeLayout,
+  positionFromAngles,
+  angularWidthDeg,
+  angularHeightDeg,
+  yawDistance
+};
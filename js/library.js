@@ -0,0 +1,172 @@
+/**
+ * VR Slideshow — Local photo library
+ * Purpose: Persist picked images (blob + width/height metadata) in IndexedDB so the
+ * selection survives page reloads on Quest without re-picking every file.
+ *
+ * Record shape (store "images", keyPath "id"):
+ *   { id, blob, width, height, name, type, lastModified, addedAt, favourite, equirect, useAsSky }
+ * Clips add { kind: 'video', poster, duration } and keep the clip itself in "blob".
+ * A voice note attached to an image is kept on its record as { narration: Blob, narrationName }.
+ * Images also carry { caption, takenAt, camera, gps: { lat, lon } | null } from EXIF / the user;
+ * dwell (seconds, 0 = the show's interval) is how long the image holds the show when it comes up.
+ * exifRead marks records whose blob has already been turned upright (see js/exif.js).
+ * hash is the picked file's content key (js/importer.js contentKey), used to skip duplicates on later picks;
+ * records saved before it have none.
+ * "id" is the same asset id used in metaList / a-assets (e.g. "img12").
+ *
+ * Playlists (store "playlists", keyPath "id"): see js/playlists.js for the shape.
+ *
+ * Music (store "music", keyPath "id"): { id, blob, name, type, duration, bpm, offset, addedAt }
+ * bpm/offset come from js/audio.js tempo analysis (0 when the tempo couldn't be found).
+ */
+
+const DB_NAME = 'vr-slideshow';
+const DB_VERSION = 3;
+const IMAGE_STORE = 'images';
+const PLAYLIST_STORE = 'playlists';
+const MUSIC_STORE = 'music';
+
+let dbPromise = null;
+let persistRequested = false;
+
+function isAvailable(){ return typeof indexedDB !== 'undefined' && indexedDB !== null; }
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(req){
+  return new Promise((resolve,reject)=>{
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error || new Error('IndexedDB request failed'));
+  });
+}
+
+function openDb(){
+  if(dbPromise) return dbPromise;
+  if(!isAvailable()) return Promise.reject(new Error('IndexedDB not available'));
+  dbPromise = new Promise((resolve,reject)=>{
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains(IMAGE_STORE)) db.createObjectStore(IMAGE_STORE, { keyPath: 'id' });
+      if(!db.objectStoreNames.contains(PLAYLIST_STORE)) db.createObjectStore(PLAYLIST_STORE, { keyPath: 'id' });
+      if(!db.objectStoreNames.contains(MUSIC_STORE)) db.createObjectStore(MUSIC_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error || new Error('IndexedDB open failed'));
+    req.onblocked = ()=> reject(new Error('IndexedDB open blocked (close other tabs of this page)'));
+  });
+  // allow a retry after a failed open
+  dbPromise.catch(()=>{ dbPromise = null; });
+  return dbPromise;
+}
+
+// Run fn(store) in a transaction and resolve once the transaction completes
+async function withStore(storeName, mode, fn){
+  const db = await openDb();
+  return new Promise((resolve,reject)=>{
+    const tx = db.transaction(storeName, mode);
+    let result;
+    tx.oncomplete = ()=> resolve(result);
+    tx.onerror = ()=> reject(tx.error || new Error('IndexedDB transaction failed'));
+    tx.onabort = ()=> reject(tx.error || new Error('IndexedDB transaction aborted'));
+    Promise.resolve(fn(tx.objectStore(storeName))).then(r => { result = r; }, reject);
+  });
+}
+
+// Ask the browser not to evict our data under storage pressure (best effort, once)
+function requestPersistence(){
+  if(persistRequested) return;
+  persistRequested = true;
+  try {
+    if(navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(()=>{});
+  } catch(e){}
+}
+
+async function loadAllImages(){
+  const records = await withStore(IMAGE_STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return (records || []).sort((a,b)=> (a.addedAt || 0) - (b.addedAt || 0));
+}
+
+function saveImage(record){
+  requestPersistence();
+  return withStore(IMAGE_STORE, 'readwrite', store => requestToPromise(store.put(record)));
+}
+
+// Merge fields into a stored image record (e.g. { favourite: true }) without touching the blob
+function updateImage(id, fields){
+  return withStore(IMAGE_STORE, 'readwrite', async store => {
+    const rec = await requestToPromise(store.get(id));
+    if(!rec) return;
+    return requestToPromise(store.put(Object.assign(rec, fields)));
+  });
+}
+
+function removeImage(id){
+  return withStore(IMAGE_STORE, 'readwrite', store => requestToPromise(store.delete(id)));
+}
+
+function clearImages(){
+  return withStore(IMAGE_STORE, 'readwrite', store => requestToPromise(store.clear()));
+}
+
+async function loadAllPlaylists(){
+  const records = await withStore(PLAYLIST_STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return (records || []).sort((a,b)=> (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+function savePlaylist(playlist){
+  return withStore(PLAYLIST_STORE, 'readwrite', store => requestToPromise(store.put(playlist)));
+}
+
+function removePlaylist(id){
+  return withStore(PLAYLIST_STORE, 'readwrite', store => requestToPromise(store.delete(id)));
+}
+
+async function loadAllMusic(){
+  const records = await withStore(MUSIC_STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return (records || []).sort((a,b)=> (a.addedAt || 0) - (b.addedAt || 0));
+}
+
+function saveMusic(record){
+  requestPersistence();
+  return withStore(MUSIC_STORE, 'readwrite', store => requestToPromise(store.put(record)));
+}
+
+function removeMusic(id){
+  return withStore(MUSIC_STORE, 'readwrite', store => requestToPromise(store.delete(id)));
+}
+
+// { usage, quota } in bytes, or null when the Storage API is missing
+async function estimateUsage(){
+  try {
+    if(navigator.storage && navigator.storage.estimate){
+      const est = await navigator.storage.estimate();
+      return { usage: est.usage || 0, quota: est.quota || 0 };
+    }
+  } catch(e){}
+  return null;
+}
+
+function formatBytes(bytes){
+  if(!bytes) return '0 B';
+  const units = ['B','KB','MB','GB','TB'];
+  let i = 0; let v = bytes;
+  while(v >= 1024 && i < units.length-1){ v /= 1024; i++; }
+  return `${v.toFixed(v >= 10 || i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+export {
+  isAvailable,
+  loadAllImages,
+  saveImage,
+  updateImage,
+  removeImage,
+  clearImages,
+  loadAllPlaylists,
+  savePlaylist,
+  removePlaylist,
+  loadAllMusic,
+  saveMusic,
+  removeMusic,
+  estimateUsage,
+  formatBytes
+};
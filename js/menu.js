@@ -0,0 +1,183 @@
+/**
+ * VR Slideshow — In-VR menu
+ * Purpose: A floating control panel inside the scene, so the show can be steered without
+ * leaving VR: previous / pause / next, replace interval, panel size, captions, recentre, exit to setup.
+ *
+ * Open it with a thumbstick press (either controller) or by pointing / gazing at the small
+ * "Menu" button floating below eye level. It opens in front of wherever the viewer is facing.
+ *
+ * <a-entity vr-menu="hands: #leftHand, #rightHand">
+ * Emits 'menu-action' on the scene: { action, value }
+ *   prev | next | pause | interval (value: -1 / +1) | panel-size (value: small|medium|large) | captions | recentre | exit
+ * el.components['vr-menu'].setState({ paused, interval, panelSize, captions }) refreshes the labels.
+ */
+
+const MENU_DISTANCE = 1.0;
+const MENU_DROP = 0.25;         // below eye level, so it doesn't cover the panels straight ahead
+const HANDLE_DISTANCE = 0.9;
+const HANDLE_DROP = 0.7;
+const COLORS = { bg: '#111', button: '#2a2a2a', hover: '#3d3d3d', active: '#1d3f5e', text: '#eee', title: '#ffd47a' };
+
+// Button layout (metres, menu-local): rows of [action, label, x, y, width, value]
+const BUTTONS = [
+  ['prev', 'Previous', -0.31, 0.13, 0.28],
+  ['pause', 'Pause', 0, 0.13, 0.28],
+  ['next', 'Next', 0.31, 0.13, 0.28],
+  ['interval', '-', 0.05, 0, 0.1, -1],
+  ['interval', '+', 0.37, 0, 0.1, 1],
+  ['panel-size', 'Small', -0.31, -0.13, 0.28, 'small'],
+  ['panel-size', 'Medium', 0, -0.13, 0.28, 'medium'],
+  ['panel-size', 'Large', 0.31, -0.13, 0.28, 'large'],
+  ['captions', 'Captions: on', -0.22, -0.26, 0.42],
+  ['exit', 'Exit to setup', 0.22, -0.26, 0.42],
+  ['recentre', 'Recentre view', 0, -0.39, 0.42],
+  ['close', 'X', 0.43, 0.29, 0.08]
+];
+const BUTTON_HEIGHT = 0.1;
+
+function makeText(value, opts){
+  const t = document.createElement('a-entity');
+  t.setAttribute('text', Object.assign({ value, align: 'center', anchor: 'center', baseline: 'center', color: COLORS.text, wrapCount: 14, width: 0.5 }, opts || {}));
+  return t;
+}
+
+AFRAME.registerComponent('vr-menu', {
+  schema: {
+    hands: { type: 'selectorAll', default: '#leftHand, #rightHand' }
+  },
+  init: function(){
+    this.open = false;
+    this.state = { paused: false, interval: 5, panelSize: 'medium', captions: true };
+    this.buttons = [];
+
+    // the menu itself
+    const panel = document.createElement('a-entity');
+    panel.setAttribute('visible', false);
+    const bg = document.createElement('a-entity');
+    bg.setAttribute('geometry', { primitive: 'plane', width: 1.0, height: 0.85 });
+    bg.setAttribute('material', { color: COLORS.bg, opacity: 0.9, transparent: true, shader: 'flat', side: 'double' });
+    bg.setAttribute('position', '0 -0.055 -0.005');
+    // rays that miss a button stop here instead of clicking the panel behind the menu
+    bg.classList.add('interactive');
+    panel.appendChild(bg);
+    this.bg = bg;
+    const title = makeText('Slideshow', { color: COLORS.title, align: 'left', anchor: 'left', width: 0.8, wrapCount: 30 });
+    title.setAttribute('position', '-0.45 0.29 0');
+    panel.appendChild(title);
+    const intervalLabel = makeText('', { align: 'left', anchor: 'left', width: 0.6, wrapCount: 24 });
+    intervalLabel.setAttribute('position', '-0.45 0 0');
+    panel.appendChild(intervalLabel);
+    const intervalValue = makeText('', { width: 0.4, wrapCount: 12 });
+    intervalValue.setAttribute('position', '0.21 0 0');
+    panel.appendChild(intervalValue);
+    BUTTONS.forEach(([action, label, x, y, width, value]) => panel.appendChild(this.makeButton(action, label, x, y, 0, width, value)));
+    this.el.appendChild(panel);
+    this.panel = panel;
+    this.titleEl = title;
+    this.intervalLabel = intervalLabel;
+    this.intervalValue = intervalValue;
+
+    // the small always-there button that opens it
+    const handle = this.makeButton('open', 'Menu', 0, 1.6 - HANDLE_DROP, -HANDLE_DISTANCE, 0.24);
+    this.el.appendChild(handle);
+    this.handle = handle;
+    this.setInteractive(panel, false);
+
+    this.onThumbstick = ()=> this.toggle();
+    this.data.hands.forEach(hand => hand.addEventListener('thumbstickdown', this.onThumbstick));
+    this.el.sceneEl.addEventListener('enter-vr', ()=> this.placeInFront(this.handle, HANDLE_DISTANCE, HANDLE_DROP));
+    this.render();
+  },
+  remove: function(){
+    this.data.hands.forEach(hand => hand.removeEventListener('thumbstickdown', this.onThumbstick));
+  },
+  makeButton: function(action, label, x, y, z, width, value){
+    const btn = document.createElement('a-entity');
+    btn.setAttribute('geometry', { primitive: 'plane', width, height: BUTTON_HEIGHT });
+    btn.setAttribute('material', { color: COLORS.button, shader: 'flat', side: 'double' });
+    btn.setAttribute('position', `${x} ${y} ${z}`);
+    btn.classList.add('interactive');
+    const text = makeText(label, { width: width * 1.6, wrapCount: Math.max(4, Math.round(width * 40)) });
+    text.setAttribute('position', '0 0 0.002');
+    btn.appendChild(text);
+    btn.addEventListener('mouseenter', ()=> btn.setAttribute('material', 'color', this.isActive(action, value) ? COLORS.active : COLORS.hover));
+    btn.addEventListener('mouseleave', ()=> btn.setAttribute('material', 'color', this.isActive(action, value) ? COLORS.active : COLORS.button));
+    btn.addEventListener('click', ()=> this.press(action, value));
+    this.buttons.push({ el: btn, text, action, value });
+    return btn;
+  },
+  isActive: function(action, value){
+    return (action === 'panel-size' && value === this.state.panelSize) || (action === 'pause' && this.state.paused);
+  },
+  press: function(action, value){
+    if(action === 'open'){ this.show(); return; }
+    if(action === 'close'){ this.hide(); return; }
+    if(action === 'exit') this.hide();
+    this.el.sceneEl.emit('menu-action', { action, value });
+  },
+  setState: function(state){
+    Object.assign(this.state, state || {});
+    this.render();
+  },
+  render: function(){
+    const s = this.state;
+    this.titleEl.setAttribute('text', 'value', s.paused ? 'Slideshow - paused' : 'Slideshow');
+    this.intervalLabel.setAttribute('text', 'value', 'Change every');
+    this.intervalValue.setAttribute('text', 'value', `${s.interval} s`);
+    this.buttons.forEach(b => {
+      if(b.action === 'pause') b.text.setAttribute('text', 'value', s.paused ? 'Resume' : 'Pause');
+      if(b.action === 'captions') b.text.setAttribute('text', 'value', s.captions ? 'Captions: on' : 'Captions: off');
+      if(b.el.parentNode === this.panel) b.el.setAttribute('material', 'color', this.isActive(b.action, b.value) ? COLORS.active : COLORS.button);
+    });
+  },
+  // Put obj `distance` metres ahead of the viewer's current facing (yaw only), `drop` below the eyes, facing them
+  placeInFront: function(el, distance, drop){
+    const cam = this.el.sceneEl.camera;
+    if(!cam) return;
+    const eye = new THREE.Vector3();
+    cam.getWorldPosition(eye);
+    const dir = new THREE.Vector3();
+    cam.getWorldDirection(dir);
+    dir.y = 0;
+    if(dir.lengthSq() < 1e-6) dir.set(0, 0, -1);
+    dir.normalize();
+    const target = eye.clone().add(dir.multiplyScalar(distance));
+    target.y = eye.y - drop;
+    const obj = el.object3D;
+    if(obj.parent){ obj.parent.updateMatrixWorld(); obj.parent.worldToLocal(target); }
+    obj.position.copy(target);
+    obj.rotation.set(0, Math.atan2(eye.x - target.x, eye.z - target.z), 0);
+  },
+  // hidden buttons must not catch rays
+  setInteractive: function(container, on){
+    this.buttons.forEach(b => { if(container === b.el || container.contains(b.el)) b.el.classList.toggle('interactive', on); });
+    if(container.contains(this.bg)) this.bg.classList.toggle('interactive', on);
+    refreshRaycasters(this.el.sceneEl);
+  },
+  show: function(){
+    if(this.open) return;
+    this.open = true;
+    this.placeInFront(this.panel, MENU_DISTANCE, MENU_DROP);
+    this.panel.setAttribute('visible', true);
+    this.handle.setAttribute('visible', false);
+    this.setInteractive(this.panel, true);
+    this.setInteractive(this.handle, false);
+  },
+  hide: function(){
+    if(!this.open) return;
+    this.open = false;
+    this.panel.setAttribute('visible', false);
+    this.placeInFront(this.handle, HANDLE_DISTANCE, HANDLE_DROP);
+    this.handle.setAttribute('visible', true);
+    this.setInteractive(this.panel, false);
+    this.setInteractive(this.handle, true);
+  },
+  toggle: function(){ if(this.open) this.hide(); else this.show(); }
+});
+
+// Raycasters cache their object list; tell them the .interactive set changed
+function refreshRaycasters(sceneEl){
+  sceneEl.querySelectorAll('[raycaster]').forEach(el => { const rc = el.components.raycaster; if(rc && rc.refreshObjects) rc.refreshObjects(); });
+}
+
+export { refreshRaycasters };
@@ -0,0 +1,118 @@
+/**
+ * VR Slideshow — 360° / equirectangular backgrounds
+ * Purpose: Detect equirectangular photos (2:1 aspect and/or XMP GPano metadata) and show them
+ * as the surrounding sky, crossfading between backgrounds on their own schedule.
+ *
+ * detectEquirect({ width, height }, gpano) -> { equirect, source: 'gpano' | 'aspect' | null, partial }
+ * readGPano(blob) -> Promise<{ projectionType, fullWidth, fullHeight, croppedWidth, croppedHeight } | null>
+ * <a-entity sky-crossfade> -> .show(texture) fades the new background in over the old one
+ */
+
+const ASPECT_TOLERANCE = 0.02;      // 2:1 +/- 2%
+const XMP_SCAN_BYTES = 512 * 1024;  // XMP lives in the first APP1 segments of a JPEG
+const SKY_RADIUS = 38;              // inside the 40 m environment sphere (js/environments.js)
+const DEFAULT_FADE_MS = 1500;
+
+// Pull GPano fields out of an XMP packet (attribute or element syntax)
+function parseGPano(xmp){
+  if(!xmp || xmp.indexOf('GPano') < 0) return null;
+  function field(name){
+    const attr = new RegExp('GPano:' + name + '\\s*=\\s*"([^"]*)"').exec(xmp);
+    if(attr) return attr[1];
+    const elem = new RegExp('<GPano:' + name + '>([^<]*)</GPano:' + name + '>').exec(xmp);
+    return elem ? elem[1] : null;
+  }
+  const num = v => (v === null || v === '' || isNaN(parseFloat(v))) ? null : parseFloat(v);
+  const projectionType = field('ProjectionType');
+  if(!projectionType) return null;
+  return {
+    projectionType: projectionType.trim().toLowerCase(),
+    fullWidth: num(field('FullPanoWidthPixels')),
+    fullHeight: num(field('FullPanoHeightPixels')),
+    croppedWidth: num(field('CroppedAreaImageWidthPixels')),
+    croppedHeight: num(field('CroppedAreaImageHeightPixels'))
+  };
+}
+
+async function readGPano(blob){
+  try {
+    const head = blob.slice(0, XMP_SCAN_BYTES);
+    const buf = await head.arrayBuffer();
+    const text = new TextDecoder('iso-8859-1').decode(buf);
+    const start = text.indexOf('<x:xmpmeta');
+    if(start < 0) return null;
+    const end = text.indexOf('</x:xmpmeta>', start);
+    return parseGPano(text.slice(start, end < 0 ? undefined : end));
+  } catch(e){
+    return null;
+  }
+}
+
+function detectEquirect(dims, gpano){
+  if(gpano && gpano.projectionType === 'equirectangular'){
+    const partial = !!(gpano.fullWidth && gpano.croppedWidth && (gpano.croppedWidth < gpano.fullWidth || (gpano.croppedHeight && gpano.fullHeight && gpano.croppedHeight < gpano.fullHeight)));
+    return { equirect: true, source: 'gpano', partial };
+  }
+  const aspect = dims && dims.width && dims.height ? dims.width / dims.height : 0;
+  if(Math.abs(aspect - 2) <= 2 * ASPECT_TOLERANCE) return { equirect: true, source: 'aspect', partial: false };
+  return { equirect: false, source: null, partial: false };
+}
+
+// Two inward-facing spheres; the incoming background fades in on top, then becomes the base
+AFRAME.registerComponent('sky-crossfade', {
+  schema: {
+    radius: { type: 'number', default: SKY_RADIUS },
+    duration: { type: 'number', default: DEFAULT_FADE_MS }
+  },
+  init: function(){
+    this.layers = [0,1].map(()=>{
+      const geom = new THREE.SphereGeometry(this.data.radius, 64, 32);
+      const mat = new THREE.MeshBasicMaterial({ side: THREE.BackSide, transparent: true, opacity: 0, depthWrite: false });
+      const mesh = new THREE.Mesh(geom, mat);
+      mesh.scale.x = -1; // view from inside without mirroring the photo
+      mesh.visible = false;
+      this.el.object3D.add(mesh);
+      return mesh;
+    });
+    this.front = 0;     // index of the layer currently fully shown
+    this.fade = null;   // { from, to, elapsed }
+  },
+  remove: function(){
+    this.layers.forEach(mesh => { this.el.object3D.remove(mesh); mesh.geometry.dispose(); mesh.material.dispose(); });
+  },
+  show: function(texture){
+    if(!texture) return;
+    // finish any fade in progress so we always crossfade from a settled background
+    if(this.fade) this.finishFade();
+    const incoming = this.layers[1 - this.front];
+    const outgoing = this.layers[this.front];
+    incoming.material.map = texture;
+    incoming.material.opacity = 0;
+    incoming.material.needsUpdate = true;
+    incoming.visible = true;
+    incoming.renderOrder = -1;
+    outgoing.renderOrder = -2;
+    this.fade = { from: this.front, to: 1 - this.front, elapsed: 0 };
+  },
+  clear: function(){
+    this.fade = null;
+    this.layers.forEach(mesh => { mesh.visible = false; mesh.material.opacity = 0; mesh.material.map = null; });
+  },
+  finishFade: function(){
+    const f = this.fade;
+    this.fade = null;
+    this.layers[f.to].material.opacity = 1;
+    this.layers[f.from].visible = false;
+    this.layers[f.from].material.opacity = 0;
+    this.front = f.to;
+  },
+  tick: function(time, delta){
+    if(!this.fade) return;
+    this.fade.elapsed += Math.min(delta || 0, 100);
+    const t = Math.min(1, this.fade.elapsed / Math.max(1, this.data.duration));
+    this.layers[this.fade.to].material.opacity = t;
+    if(t >= 1) this.finishFade();
+  }
+});
+
+export { parseGPano, readGPano, detectEquirect };
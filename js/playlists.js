@@ -0,0 +1,164 @@
+/**
+ * VR Slideshow — Playlists
+ * Purpose: Named, ordered collections of library images with their own show settings,
+ * plus a portable JSON manifest for export/import.
+ *
+ * Playlist shape:
+ *   { id, name, itemIds: ['img3','img7',...], settings: { panelSize, replaceInterval, visiblePanels, layout, fit, sequence, skyInterval, videoMaxSec, videoSound, transition, transitionSec, easing, musicCrossfade, beatSync, captions, environment, frame, shadows }, createdAt, updatedAt }
+ *
+ * Manifest shape (format "vr-slideshow-playlist", version 1):
+ *   { format, version, name, settings, exportedAt,
+ *     images: [{ id, name, width, height, type, kind?, duration?, caption?, takenAt?, dwell?, data?, src? }] }
+ * "data" (an embedded image or clip data URL) is only present in bundles; plain manifests
+ * reference images by file name and dimensions.
+ * "src" is the file's URL relative to the manifest, for shows hosted next to it (js/hosted.js);
+ * width/height may be left out there and are read when the image loads.
+ */
+
+import { STRATEGY_NAMES } from './layout.js';
+import { MODES as SEQUENCE_MODES } from './sequencer.js';
+import { EFFECTS, EASING_NAMES } from './transitions.js';
+import { CAPTION_MODES } from './captions.js';
+import { ENVIRONMENTS, FRAME_STYLES } from './environments.js';
+
+const MANIFEST_FORMAT = 'vr-slideshow-playlist';
+const MANIFEST_VERSION = 1;
+const PANEL_SIZES = ['small', 'medium', 'large'];
+const FIT_MODES = ['contain', 'cover', 'stretch'];
+const MAX_DWELL_SEC = 600;   // per-image hold time
+const DEFAULT_SETTINGS = { panelSize: 'medium', replaceInterval: 5, visiblePanels: 8, layout: 'scatter', fit: 'contain', sequence: 'shuffle', skyInterval: 30, videoMaxSec: 30, videoSound: true, transition: 'crossfade', transitionSec: 1.2, easing: 'easeInOut', musicCrossfade: 4, beatSync: false, captions: 'caption', environment: 'black', frame: 'none', shadows: false };
+
+function clampNumber(v, min, max, fallback){
+  const n = parseFloat(v);
+  if(!isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+// Fill in / clamp settings so a playlist (or imported manifest) is always usable
+function normalizeSettings(settings){
+  const s = settings || {};
+  return {
+    panelSize: PANEL_SIZES.includes(s.panelSize) ? s.panelSize : DEFAULT_SETTINGS.panelSize,
+    replaceInterval: clampNumber(s.replaceInterval, 1, 60, DEFAULT_SETTINGS.replaceInterval),
+    visiblePanels: Math.round(clampNumber(s.visiblePanels, 1, 24, DEFAULT_SETTINGS.visiblePanels)),
+    layout: STRATEGY_NAMES.includes(s.layout) ? s.layout : DEFAULT_SETTINGS.layout,
+    fit: FIT_MODES.includes(s.fit) ? s.fit : DEFAULT_SETTINGS.fit,
+    sequence: SEQUENCE_MODES.includes(s.sequence) ? s.sequence : DEFAULT_SETTINGS.sequence,
+    skyInterval: clampNumber(s.skyInterval, 5, 600, DEFAULT_SETTINGS.skyInterval),
+    videoMaxSec: clampNumber(s.videoMaxSec, 1, 600, DEFAULT_SETTINGS.videoMaxSec),
+    videoSound: s.videoSound === undefined ? DEFAULT_SETTINGS.videoSound : !!s.videoSound,
+    transition: EFFECTS.includes(s.transition) ? s.transition : DEFAULT_SETTINGS.transition,
+    transitionSec: clampNumber(s.transitionSec, 0.2, 5, DEFAULT_SETTINGS.transitionSec),
+    easing: EASING_NAMES.includes(s.easing) ? s.easing : DEFAULT_SETTINGS.easing,
+    musicCrossfade: clampNumber(s.musicCrossfade, 0, 10, DEFAULT_SETTINGS.musicCrossfade),
+    beatSync: !!s.beatSync,
+    captions: CAPTION_MODES.includes(s.captions) ? s.captions : DEFAULT_SETTINGS.captions,
+    environment: ENVIRONMENTS.includes(s.environment) ? s.environment : DEFAULT_SETTINGS.environment,
+    frame: FRAME_STYLES.includes(s.frame) ? s.frame : DEFAULT_SETTINGS.frame,
+    shadows: !!s.shadows
+  };
+}
+
+function createPlaylist(name, itemIds, settings){
+  const now = Date.now();
+  return {
+    id: 'pl-' + now.toString(36) + Math.random().toString(36).slice(2, 6),
+    name: String(name || 'Untitled').trim() || 'Untitled',
+    itemIds: (itemIds || []).slice(),
+    settings: normalizeSettings(settings),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Move one item within a playlist; returns true when something changed
+function moveItem(playlist, fromIndex, toIndex){
+  const ids = playlist.itemIds;
+  if(fromIndex < 0 || fromIndex >= ids.length || toIndex < 0 || toIndex >= ids.length || fromIndex === toIndex) return false;
+  const [id] = ids.splice(fromIndex, 1);
+  ids.splice(toIndex, 0, id);
+  playlist.updatedAt = Date.now();
+  return true;
+}
+
+// metas: the playlist's images in order ({ id, name, width, height, type, dataUrl })
+function buildManifest(playlist, metas, options){
+  const embed = !!(options && options.embed);
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name: playlist.name,
+    settings: normalizeSettings(playlist.settings),
+    exportedAt: new Date().toISOString(),
+    images: metas.map(m => {
+      const entry = { id: m.id, name: m.name || `${m.id}.jpg`, width: m.width, height: m.height, type: m.type || '' };
+      if(m.kind === 'video'){ entry.kind = 'video'; entry.duration = m.duration || 0; }
+      if(m.caption) entry.caption = m.caption;
+      if(m.takenAt) entry.takenAt = m.takenAt;
+      if(m.dwell) entry.dwell = m.dwell;
+      if(embed) entry.data = m.dataUrl;
+      return entry;
+    })
+  };
+}
+
+// Returns a list of human-readable problems; empty when the manifest is usable
+function validateManifest(manifest){
+  const errors = [];
+  if(!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['manifest must be a JSON object'];
+  if(manifest.format !== MANIFEST_FORMAT) errors.push(`format must be "${MANIFEST_FORMAT}"`);
+  if(typeof manifest.version !== 'number' || manifest.version > MANIFEST_VERSION) errors.push(`unsupported version ${manifest.version} (this page reads up to ${MANIFEST_VERSION})`);
+  if(typeof manifest.name !== 'string' || !manifest.name.trim()) errors.push('name must be a non-empty string');
+  if(manifest.settings !== undefined && (typeof manifest.settings !== 'object' || manifest.settings === null)) errors.push('settings must be an object');
+  if(!Array.isArray(manifest.images)){
+    errors.push('images must be an array');
+    return errors;
+  }
+  if(!manifest.images.length) errors.push('images is empty');
+  manifest.images.forEach((img, i)=>{
+    if(!img || typeof img !== 'object'){ errors.push(`images[${i}] must be an object`); return; }
+    if(typeof img.name !== 'string' || !img.name) errors.push(`images[${i}].name must be a non-empty string`);
+    const hosted = img.src !== undefined;
+    if(hosted && (typeof img.src !== 'string' || !img.src)) errors.push(`images[${i}].src must be a non-empty URL`);
+    if(!(img.width > 0) && !(hosted && img.width === undefined)) errors.push(`images[${i}].width must be a positive number`);
+    if(!(img.height > 0) && !(hosted && img.height === undefined)) errors.push(`images[${i}].height must be a positive number`);
+    if(img.caption !== undefined && typeof img.caption !== 'string') errors.push(`images[${i}].caption must be a string`);
+    if(img.takenAt !== undefined && !(typeof img.takenAt === 'number' && isFinite(img.takenAt))) errors.push(`images[${i}].takenAt must be a timestamp (ms)`);
+    if(img.dwell !== undefined && !(typeof img.dwell === 'number' && img.dwell > 0 && img.dwell <= MAX_DWELL_SEC)) errors.push(`images[${i}].dwell must be a number of seconds (up to ${MAX_DWELL_SEC})`);
+    if(img.kind !== undefined && img.kind !== 'image' && img.kind !== 'video') errors.push(`images[${i}].kind must be "image" or "video"`);
+    const dataPrefix = img.kind === 'video' ? 'data:video/' : 'data:image/';
+    if(img.data !== undefined && (typeof img.data !== 'string' || img.data.indexOf(dataPrefix) !== 0)) errors.push(`images[${i}].data must be ${img.kind === 'video' ? 'a video' : 'an image'} data URL`);
+  });
+  return errors;
+}
+
+function slugify(name){
+  return String(name || 'playlist').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'playlist';
+}
+
+// Trigger a browser download of obj as a .json file
+function downloadJson(filename, obj){
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+export {
+  MANIFEST_FORMAT,
+  MANIFEST_VERSION,
+  DEFAULT_SETTINGS,
+  MAX_DWELL_SEC,
+  normalizeSettings,
+  createPlaylist,
+  moveItem,
+  buildManifest,
+  validateManifest,
+  slugify,
+  downloadJson
+};
@@ -0,0 +1,24 @@
+/**
+ * VR Slideshow — Seeded randomness
+ * Purpose: The show's random choices (layout scatter, shuffle order, which panel changes next) drawn
+ * from a seeded generator instead of Math.random, so a show can be replayed exactly from its seed:
+ * a synced follower headset computes the same layout as the presenter from the seed it was sent.
+ *
+ * createRandom(seed) -> () => number in [0, 1)   (mulberry32; the same seed gives the same sequence)
+ * newSeed() -> 32-bit unsigned integer
+ */
+
+function createRandom(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function newSeed(){ return Math.floor(Math.random() * 4294967296) >>> 0; }
+
+export { createRandom, newSeed };
@@ -0,0 +1,98 @@
+/**
+ * VR Slideshow — Scheduler
+ * Purpose: The show's timers (panel swaps, 360° background changes) counted down on the scene
+ * clock instead of setInterval, so they stay in step with the render loop, stop while the page
+ * or the XR session is hidden, and pick up with the time they had left.
+ *
+ * const sch = sceneEl.systems['slideshow-scheduler'];
+ * sch.schedule(name, { delay: () => seconds, onDue })   (delay() is asked again after every onDue)
+ * sch.restart(name) / sch.cancel(name) / sch.cancelAll() / sch.remaining(name)
+ * sch.pause(reason) / sch.resume(reason) / sch.isPaused() / sch.reasons()
+ *   Paused while any reason is set. Built-in reasons: 'hidden' (tab hidden), 'xr' (XR session
+ *   blurred or hidden, e.g. the Quest system menu or the headset taken off); callers add their own.
+ * Emits 'scheduler-change' on the scene: { paused, reasons } whenever the set of reasons changes.
+ */
+
+const MAX_STEP_SEC = 1;   // a stalled frame counts for at most this much
+const MIN_DELAY_SEC = 0.05;
+
+AFRAME.registerSystem('slideshow-scheduler', {
+  init: function(){
+    this.channels = new Map();   // name -> { delay, onDue, remaining }
+    this.pauseReasons = new Set();
+    this.session = null;
+
+    this.onVisibility = ()=>{ if(document.hidden) this.pause('hidden'); else this.resume('hidden'); };
+    this.onXrVisibility = ()=>{
+      if(this.session && this.session.visibilityState === 'visible') this.resume('xr');
+      else this.pause('xr');
+    };
+    this.onEnterVr = ()=>{
+      this.session = this.el.xrSession || (this.el.renderer && this.el.renderer.xr && this.el.renderer.xr.getSession && this.el.renderer.xr.getSession()) || null;
+      if(this.session) this.session.addEventListener('visibilitychange', this.onXrVisibility);
+    };
+    this.onExitVr = ()=>{
+      if(this.session) this.session.removeEventListener('visibilitychange', this.onXrVisibility);
+      this.session = null;
+      this.resume('xr');
+    };
+    document.addEventListener('visibilitychange', this.onVisibility);
+    this.el.addEventListener('enter-vr', this.onEnterVr);
+    this.el.addEventListener('exit-vr', this.onExitVr);
+  },
+  remove: function(){
+    document.removeEventListener('visibilitychange', this.onVisibility);
+    this.el.removeEventListener('enter-vr', this.onEnterVr);
+    this.el.removeEventListener('exit-vr', this.onExitVr);
+    this.onExitVr();
+  },
+
+  schedule: function(name, opts){
+    const channel = { delay: opts.delay, onDue: opts.onDue, remaining: 0 };
+    this.channels.set(name, channel);
+    channel.remaining = this.nextDelay(channel);
+  },
+  // Count down afresh from delay(), e.g. after a manual skip or a changed interval
+  restart: function(name){
+    const channel = this.channels.get(name);
+    if(channel) channel.remaining = this.nextDelay(channel);
+  },
+  cancel: function(name){ this.channels.delete(name); },
+  cancelAll: function(){ this.channels.clear(); },
+  remaining: function(name){
+    const channel = this.channels.get(name);
+    return channel ? channel.remaining : null;
+  },
+  nextDelay: function(channel){
+    let sec = 0;
+    try { sec = channel.delay(); } catch(e){ console.warn('Scheduler delay failed', e); }
+    return Math.max(MIN_DELAY_SEC, isFinite(sec) ? sec : 0);
+  },
+
+  pause: function(reason){
+    if(this.pauseReasons.has(reason)) return;
+    this.pauseReasons.add(reason);
+    this.changed();
+  },
+  resume: function(reason){
+    if(!this.pauseReasons.delete(reason)) return;
+    this.changed();
+  },
+  isPaused: function(){ return this.pauseReasons.size > 0; },
+  reasons: function(){ return Array.from(this.pauseReasons); },
+  changed: function(){
+    this.el.emit('scheduler-change', { paused: this.isPaused(), reasons: this.reasons() });
+  },
+
+  tick: function(time, delta){
+    if(this.isPaused() || !this.channels.size) return;
+    const step = Math.min(MAX_STEP_SEC, (delta || 0) / 1000);
+    this.channels.forEach((channel, name) => {
+      channel.remaining -= step;
+      if(channel.remaining > 0) return;
+      try { channel.onDue(); } catch(e){ console.warn(`Scheduler "${name}" failed`, e); }
+      // onDue may have cancelled or replaced this channel
+      if(this.channels.get(name) === channel) channel.remaining = this.nextDelay(channel);
+    });
+  }
+});
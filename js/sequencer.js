@@ -0,0 +1,184 @@
+/**
+ * VR Slideshow — Sequencer
+ * Purpose: Decide which image goes up next, with real per-cycle history.
+ *
+ * Modes:
+ *   shuffle  - shuffled full cycle: every image is shown exactly once before any repeats
+ *   ordered  - the list's own order (library order or playlist order)
+ *   date     - by date taken (EXIF takenAt, else file lastModified), oldest first
+ *   name     - by file name (natural sort)
+ *   weighted - weighted random; favourites (meta.favourite) come up favouriteWeight times as often
+ *
+ * A "cycle" ends once every image has been shown; the next one starts fresh
+ * (reshuffled in shuffle mode). Pure logic: no DOM, no A-Frame.
+ *
+ * const seq = createSequencer({ mode, items, random, favouriteWeight, onCycleComplete });
+ * seq.next(excludeIds) -> meta | null   (prefers images not in excludeIds, e.g. those on screen)
+ * seq.peek(n, excludeIds) -> upcoming metas without consuming them
+ * seq.progress() -> { shown, total, cycle }
+ * seq.setItems(items) -> keep history, follow additions/removals
+ *
+ * fillPanels(seq, count, itemCount, kept) -> metas for `count` fresh panels
+ * pickPanelIndex(panels, isFree, random) -> index of the panel that changes next | -1
+ */
+
+const MODES = ['shuffle', 'ordered', 'date', 'name', 'weighted'];
+const DEFAULT_FAVOURITE_WEIGHT = 3;
+
+function shuffleArray(arr, random){
+  const rnd = random || Math.random;
+  for(let i=arr.length-1;i>0;i--){
+    const j = Math.floor(rnd()*(i+1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+const nameCollator = (typeof Intl !== 'undefined' && Intl.Collator) ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }) : null;
+function compareNames(a, b){
+  const x = String(a.name || a.id); const y = String(b.name || b.id);
+  return nameCollator ? nameCollator.compare(x, y) : (x < y ? -1 : x > y ? 1 : 0);
+}
+
+// Ids in the order one cycle should visit them
+function cycleOrder(mode, items, random){
+  const list = items.slice();
+  if(mode === 'shuffle') shuffleArray(list, random);
+  else if(mode === 'date') list.sort((a,b)=> ((a.takenAt || a.lastModified || 0) - (b.takenAt || b.lastModified || 0)) || compareNames(a, b));
+  else if(mode === 'name') list.sort(compareNames);
+  return list.map(m => m.id);
+}
+
+function createSequencer(options){
+  const opts = options || {};
+  const mode = MODES.includes(opts.mode) ? opts.mode : 'shuffle';
+  const random = opts.random || Math.random;
+  const favouriteWeight = opts.favouriteWeight || DEFAULT_FAVOURITE_WEIGHT;
+  const onCycleComplete = typeof opts.onCycleComplete === 'function' ? opts.onCycleComplete : null;
+
+  let byId = new Map();
+  let order = [];          // cycle order (cycle modes)
+  let queue = [];          // look-ahead draws (weighted mode)
+  const shown = new Set(); // ids shown in the current cycle
+  let cycle = 1;
+
+  function setItems(items){
+    byId = new Map((items || []).map(m => [m.id, m]));
+    const fresh = cycleOrder(mode, items || [], random);
+    if(mode === 'ordered' || mode === 'date' || mode === 'name' || !order.length){
+      order = fresh;
+    } else {
+      // shuffle: keep the current cycle's order, drop removed ids, slot new ids in at random
+      order = order.filter(id => byId.has(id));
+      fresh.filter(id => !order.includes(id)).forEach(id => order.splice(Math.floor(random() * (order.length + 1)), 0, id));
+    }
+    Array.from(shown).forEach(id => { if(!byId.has(id)) shown.delete(id); });
+    queue = queue.filter(id => byId.has(id));
+  }
+
+  function startNewCycle(){
+    const finished = cycle;
+    cycle++;
+    shown.clear();
+    queue = [];
+    order = cycleOrder(mode, Array.from(byId.values()), random);
+    if(onCycleComplete) onCycleComplete({ cycle: finished, total: byId.size });
+  }
+
+  function weight(id){ const m = byId.get(id); return m && m.favourite ? favouriteWeight : 1; }
+
+  // Weighted draw, preferring ids not excluded and not already queued
+  function drawWeighted(exclude){
+    const all = Array.from(byId.keys());
+    let pool = all.filter(id => !exclude.has(id));
+    if(!pool.length) pool = all;
+    const total = pool.reduce((acc,id)=> acc + weight(id), 0);
+    let r = random() * total;
+    for(const id of pool){
+      r -= weight(id);
+      if(r < 0) return id;
+    }
+    return pool[pool.length-1];
+  }
+
+  function next(excludeIds){
+    if(!byId.size) return null;
+    const exclude = new Set(excludeIds || []);
+
+    if(mode === 'weighted'){
+      if(shown.size >= byId.size) startNewCycle();
+      const pos = queue.findIndex(id => !exclude.has(id));
+      let id;
+      if(pos >= 0){ id = queue[pos]; queue.splice(pos,1); }
+      else id = drawWeighted(exclude);
+      shown.add(id);
+      return byId.get(id) || null;
+    }
+
+    let pending = order.filter(id => !shown.has(id));
+    if(!pending.length){ startNewCycle(); pending = order.slice(); }
+    // everything this cycle still owes is on screen already: that counts as shown, start the next one
+    if(pending.every(x => exclude.has(x)) && order.some(x => !exclude.has(x))){
+      pending.forEach(x => shown.add(x));
+      startNewCycle();
+      pending = order.slice();
+    }
+    // still all on screen (fewer images than panels): take one anyway
+    const id = pending.find(x => !exclude.has(x)) || pending[0];
+    shown.add(id);
+    return byId.get(id) || null;
+  }
+
+  function peek(n, excludeIds){
+    const count = Math.max(0, n || 0);
+    if(!byId.size || !count) return [];
+    const exclude = new Set(excludeIds || []);
+    if(mode === 'weighted'){
+      while(queue.filter(id => !exclude.has(id)).length < count && queue.length < byId.size * 2){
+        queue.push(drawWeighted(new Set([...exclude, ...queue])));
+      }
+      return queue.filter(id => !exclude.has(id)).slice(0, count).map(id => byId.get(id));
+    }
+    const pending = order.filter(id => !shown.has(id) && !exclude.has(id));
+    // past the end of this cycle we don't know the next shuffle yet; ordered modes wrap around
+    const upcoming = pending.length >= count || mode === 'shuffle' ? pending : pending.concat(order.filter(id => !exclude.has(id)));
+    return upcoming.slice(0, count).map(id => byId.get(id));
+  }
+
+  function progress(){
+    return { shown: Math.min(shown.size, byId.size), total: byId.size, cycle };
+  }
+
+  function reset(){
+    shown.clear();
+    queue = [];
+    cycle = 1;
+    order = cycleOrder(mode, Array.from(byId.values()), random);
+  }
+
+  setItems(opts.items || []);
+
+  return { mode, next, peek, progress, setItems, reset };
+}
+
+// Images for `count` panels built at once: the kept ones first, then the sequencer's picks, unique
+// (and counted as shown) while there are enough images, then the same picks again in turn
+function fillPanels(seq, count, itemCount, kept){
+  const picks = (kept || []).slice(0, count);
+  const unique = Math.min(count, itemCount);
+  if(!unique) return picks;
+  while(picks.length < unique) picks.push(seq.next(picks.map(m => m.id)));
+  while(picks.length < count) picks.push(picks[picks.length % unique]);
+  return picks;
+}
+
+// A random one of the panels isFree(panel, index) lets change (pinned, enlarged, mid-transition
+// and still-playing panels are not)
+function pickPanelIndex(panels, isFree, random){
+  const candidates = [];
+  panels.forEach((p, i) => { if(isFree(p, i)) candidates.push(i); });
+  if(!candidates.length) return -1;
+  return candidates[Math.floor((random || Math.random)() * candidates.length)];
+}
+
+export { MODES, createSequencer, shuffleArray, fillPanels, pickPanelIndex };
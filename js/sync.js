@@ -0,0 +1,110 @@
+/**
+ * VR Slideshow — Synced headsets
+ * Purpose: Several headsets in one room showing the same panels at the same time. One device is the
+ * presenter and runs the show as usual; it sends what happens (which panel changed to which image,
+ * pause, captions, the 360° background) through a relay (relay/server.js, run on a laptop) to the
+ * followers in the same room, which do exactly that instead of running their own timers.
+ *
+ * Images are matched by file name, so every device needs the same images: best is the same hosted
+ * show link (js/hosted.js), else libraries with the same files.
+ *
+ * Messages (JSON over a WebSocket):
+ *   to the relay:       { type: 'join', room, role: 'presenter' | 'follower' }
+ *   from the relay:     { type: 'peers', presenter: bool, followers: n }   (on every join / leave)
+ *   follower:           { type: 'hello' }  -> the presenter (the relay adds `from`)
+ *   presenter:          { type: 'state', to, seed, settings, slots: [{ name, width, height }], current: [name],
+ *                         paused, captions, sky }   (when its panels are (re)built, and `to` a follower's hello)
+ *                       { type: 'slide', panel, name, at } | { type: 'pause', paused }
+ *                       { type: 'captions', mode } | { type: 'sky', name } | { type: 'end' }
+ *   `slots` are the panels as built: followers lay them out with `seed` (js/random.js) and land them
+ *   where the presenter has them. `at` is the presenter's clock, for logs; followers act on arrival.
+ *   A presenter message with `to` goes to that follower only, else to every follower in the room.
+ *
+ * createSyncClient({ url, room, role, onMessage, onStatus }) -> { send(msg), close(), isConnected() }
+ *   Reconnects by itself until closed. onStatus(state, detail): 'connecting' | 'connected' | 'disconnected'
+ * loadSettings() / saveSettings({ role, relay, room })   (localStorage, per device)
+ * defaultRelayUrl(location) -> ws(s)://<this host>/relay   (the relay also serves the app)
+ */
+
+const ROLES = ['off', 'presenter', 'follower'];
+const SETTINGS_KEY = 'vrslideshow.sync';
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 10000;
+
+function defaultRelayUrl(loc){
+  if(!loc || !/^https?:$/.test(loc.protocol)) return '';
+  return (loc.protocol === 'https:' ? 'wss://' : 'ws://') + loc.host + '/relay';
+}
+
+function loadSettings(){
+  const s = { role: 'off', relay: '', room: 'default' };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if(saved && typeof saved === 'object'){
+      if(ROLES.includes(saved.role)) s.role = saved.role;
+      if(typeof saved.relay === 'string') s.relay = saved.relay;
+      if(typeof saved.room === 'string' && saved.room.trim()) s.room = saved.room.trim();
+    }
+  } catch(e){}
+  return s;
+}
+function saveSettings(s){
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ role: s.role, relay: s.relay, room: s.room })); } catch(e){}
+}
+
+function createSyncClient(options){
+  const opts = options || {};
+  const onMessage = typeof opts.onMessage === 'function' ? opts.onMessage : ()=>{};
+  const onStatus = typeof opts.onStatus === 'function' ? opts.onStatus : ()=>{};
+  let socket = null;
+  let closed = false;
+  let retryMs = RETRY_MIN_MS;
+  let retryTimer = 0;
+
+  function connect(){
+    onStatus('connecting', opts.url);
+    try { socket = new WebSocket(opts.url); }
+    catch(e){ onStatus('disconnected', e.message || String(e)); retry(); return; }
+    socket.onopen = ()=>{
+      retryMs = RETRY_MIN_MS;
+      socket.send(JSON.stringify({ type: 'join', room: opts.room, role: opts.role }));
+      onStatus('connected', opts.url);
+    };
+    socket.onmessage = (evt)=>{
+      let msg;
+      try { msg = JSON.parse(evt.data); } catch(e){ return; }
+      if(msg && typeof msg.type === 'string') onMessage(msg);
+    };
+    socket.onclose = ()=>{
+      socket = null;
+      if(closed) return;
+      onStatus('disconnected', 'relay connection lost');
+      retry();
+    };
+    socket.onerror = ()=>{}; // onclose follows and handles it
+  }
+  function retry(){
+    if(closed) return;
+    retryTimer = setTimeout(connect, retryMs);
+    retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+  }
+
+  function isConnected(){ return !!socket && socket.readyState === 1; }
+  function send(msg){
+    if(!isConnected()) return false;
+    socket.send(JSON.stringify(msg));
+    return true;
+  }
+  function close(){
+    closed = true;
+    clearTimeout(retryTimer);
+    if(socket) socket.close();
+    socket = null;
+    onStatus('disconnected', 'closed');
+  }
+
+  connect();
+  return { send, close, isConnected };
+}
+
+export { ROLES, defaultRelayUrl, loadSettings, saveSettings, createSyncClient };
@@ -0,0 +1,124 @@
+/**
+ * VR Slideshow — Texture memory management
+ * Purpose: Keep GPU memory bounded for large libraries on Quest.
+ *  - Images are downscaled at import to a max dimension (power-of-two aware).
+ *  - Only textures for displayed and next-few-upcoming images stay resident; the rest are
+ *    evicted least-recently-used first and dispose()d.
+ *
+ * const tm = createTextureManager({ budget, create(id), upload(tex) });
+ * tm.acquire(id)        -> texture (created on demand, marked most recently used)
+ * tm.retain(ids)        -> ids that must not be evicted (displayed + upcoming)
+ * tm.prefetch(ids)      -> create and upload ahead of time
+ * tm.dispose(id) / tm.clear() / tm.has(id) / tm.stats()
+ */
+
+const MAX_DIMENSIONS = [1024, 2048, 4096];
+const DEFAULT_MAX_DIMENSION = 2048;
+
+function floorPowerOfTwo(n){ return Math.pow(2, Math.floor(Math.log2(Math.max(1, n)))); }
+
+/**
+ * Target pixel size for an image: longest side at most maxDim (itself snapped down to a
+ * power of two). With forcePot (WebGL1, where NPOT textures can't mipmap and three.js would
+ * resize at upload anyway) both sides are snapped down to powers of two.
+ */
+function computeTargetSize(width, height, maxDim, forcePot){
+  const limit = floorPowerOfTwo(maxDim || DEFAULT_MAX_DIMENSION);
+  let w = width; let h = height;
+  const longest = Math.max(w, h);
+  if(longest > limit){
+    const s = limit / longest;
+    w = Math.max(1, Math.round(w * s));
+    h = Math.max(1, Math.round(h * s));
+  }
+  if(forcePot){
+    w = floorPowerOfTwo(w);
+    h = floorPowerOfTwo(h);
+  }
+  return { width: w, height: h, resized: w !== width || h !== height };
+}
+
+// Re-encode an image blob at the target size; resolves with the original blob when no resize is needed.
+// force: re-encode anyway (bakes EXIF orientation into the pixels so every consumer sees it upright)
+async function downscaleBlob(blob, dims, maxDim, forcePot, force){
+  if(!force && !computeTargetSize(dims.width, dims.height, maxDim, forcePot).resized) return { blob, width: dims.width, height: dims.height };
+
+  const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+  // size from the decoded (upright) pixels: a rotated photo swaps width and height
+  const target = computeTargetSize(bitmap.width, bitmap.height, maxDim, forcePot);
+  try {
+    const cvs = document.createElement('canvas');
+    cvs.width = target.width;
+    cvs.height = target.height;
+    const ctx = cvs.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, target.width, target.height);
+    const type = blob.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const out = await new Promise((resolve,reject)=> cvs.toBlob(b => b ? resolve(b) : reject(new Error('Canvas encode failed')), type, 0.9));
+    return { blob: out, width: target.width, height: target.height };
+  } finally {
+    if(bitmap.close) bitmap.close();
+  }
+}
+
+function createTextureManager(options){
+  const opts = options || {};
+  let budget = Math.max(1, opts.budget || 16);
+  const create = opts.create;
+  const upload = typeof opts.upload === 'function' ? opts.upload : null;
+
+  const resident = new Map(); // id -> texture; Map order = LRU order (oldest first)
+  let retained = new Set();
+
+  function touch(id){
+    const tex = resident.get(id);
+    resident.delete(id);
+    resident.set(id, tex);
+    return tex;
+  }
+
+  function dispose(id){
+    const tex = resident.get(id);
+    if(!tex) return;
+    resident.delete(id);
+    try { tex.dispose(); } catch(e){}
+  }
+
+  // keep: an id that must survive this pass (the texture being handed out right now)
+  function evict(keep){
+    if(resident.size <= budget) return;
+    for(const id of Array.from(resident.keys())){
+      if(resident.size <= budget) break;
+      if(!retained.has(id) && id !== keep) dispose(id);
+    }
+  }
+
+  function acquire(id){
+    if(resident.has(id)) return touch(id);
+    const tex = create(id);
+    if(!tex) return null;
+    resident.set(id, tex);
+    evict(id);
+    return tex;
+  }
+
+  function prefetch(ids){
+    (ids || []).forEach(id => {
+      const had = resident.has(id);
+      const tex = acquire(id);
+      if(tex && !had && upload){ try { upload(tex); } catch(e){} }
+    });
+  }
+
+  function retain(ids){ retained = new Set(ids || []); evict(); }
+  function setBudget(n){ budget = Math.max(1, n); evict(); }
+  function get(id){ return resident.get(id) || null; }
+  function has(id){ return resident.has(id); }
+  function clear(){ Array.from(resident.keys()).forEach(dispose); }
+  function stats(){ return { resident: resident.size, budget, retained: retained.size, ids: Array.from(resident.keys()) }; }
+
+  return { acquire, prefetch, retain, setBudget, get, has, dispose, clear, stats };
+}
+
+export { MAX_DIMENSIONS, DEFAULT_MAX_DIMENSION, computeTargetSize, downscaleBlob, createTextureManager };
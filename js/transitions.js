@@ -0,0 +1,157 @@
+/**
+ * VR Slideshow — Panel transitions
+ * Purpose: Animate a panel from one image to the next on the scene clock (so it keeps running
+ * inside the XR frame loop), with selectable effects, duration and easing.
+ *
+ * Effects:
+ *   crossfade - shader blend from the old texture to the new one
+ *   dissolve  - the new image appears in random blocks (same shader, thresholded noise)
+ *   flip      - the panel turns edge-on, swaps, and turns back
+ *   slide     - the old image slides away along the sphere, the new one slides in from the other side
+ *   zoom      - the old image shrinks away, the new one grows into place
+ *   fade      - fade out, swap, fade in (the original behaviour)
+ *
+ * <a-entity curved-panel panel-transition="effect: crossfade; duration: 1200; easing: easeInOut">
+ * el.components['panel-transition'].run({ swap, onDone })
+ *   swap()            - puts the new image on the panel (called exactly once, even when cancelled)
+ *   onDone({ cancelled })
+ * Starting a new run() on a panel mid-transition first snaps the running one to its end state.
+ * Blend effects need the panel's curved-panel to provide .texture and .setBlend(texture, amount, dissolve).
+ */
+
+const EFFECTS = ['crossfade', 'dissolve', 'flip', 'slide', 'zoom', 'fade'];
+const BLEND_EFFECTS = ['crossfade', 'dissolve'];
+const SLIDE_DEG = 20;
+const ZOOM_MIN = 0.6;
+const MAX_FRAME_MS = 100; // a long stall (tab hidden, headset off) shouldn't skip the whole transition
+
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+const EASING_NAMES = Object.keys(EASINGS);
+
+function ease(name, t){ return (EASINGS[name] || EASINGS.easeInOut)(Math.max(0, Math.min(1, t))); }
+
+AFRAME.registerComponent('panel-transition', {
+  schema: {
+    effect: { type: 'string', default: 'crossfade', oneOf: EFFECTS },
+    duration: { type: 'number', default: 1200 },
+    easing: { type: 'string', default: 'easeInOut', oneOf: EASING_NAMES }
+  },
+  init: function(){
+    this.active = null; // { effect, elapsed, duration, swapped, swap, onDone, from, radius }
+  },
+  remove: function(){
+    // the panel is going away: put the mesh back but don't swap or report
+    if(this.active){ this.resetMesh(); this.active = null; }
+  },
+  isRunning: function(){ return !!this.active; },
+  run: function(opts){
+    const o = opts || {};
+    if(this.active) this.cancel();
+    const panel = this.el.components['curved-panel'];
+    const effect = EFFECTS.includes(o.effect) ? o.effect : this.data.effect;
+    const state = {
+      effect,
+      elapsed: 0,
+      duration: Math.max(1, o.duration || this.data.duration),
+      easing: o.easing || this.data.easing,
+      swapped: false,
+      swap: typeof o.swap === 'function' ? o.swap : ()=>{},
+      onDone: typeof o.onDone === 'function' ? o.onDone : null,
+      from: null,
+      radius: 0
+    };
+    this.active = state;
+    if(BLEND_EFFECTS.includes(effect)){
+      // swap straight away and blend the old picture out on top of the new one
+      state.from = panel ? panel.texture : null;
+      this.doSwap();
+      if(panel && state.from) panel.setBlend(state.from, 1, effect === 'dissolve');
+    } else if(effect === 'slide'){
+      state.radius = this.distanceToCamera();
+    }
+    this.apply(0);
+  },
+  // Interrupted: jump to the end state (new image in place, mesh untouched)
+  cancel: function(){
+    if(!this.active) return;
+    this.finish(true);
+  },
+  doSwap: function(){
+    const state = this.active;
+    if(!state || state.swapped) return;
+    state.swapped = true;
+    try { state.swap(); } catch(e){ console.warn('Transition swap failed', e); }
+  },
+  finish: function(cancelled){
+    const state = this.active;
+    this.doSwap();
+    this.resetMesh();
+    this.active = null;
+    if(state.onDone) state.onDone({ cancelled: !!cancelled });
+  },
+  resetMesh: function(){
+    const mesh = this.el.getObject3D('mesh');
+    const panel = this.el.components['curved-panel'];
+    if(panel && panel.setBlend) panel.setBlend(null, 0, false);
+    if(!mesh) return;
+    mesh.position.set(0, 0, 0);
+    mesh.rotation.set(0, 0, 0);
+    mesh.scale.set(1, 1, 1);
+    if(mesh.material) mesh.material.opacity = 1;
+  },
+  distanceToCamera: function(){
+    const cam = this.el.sceneEl && this.el.sceneEl.camera;
+    if(!cam) return 1.8;
+    const a = new THREE.Vector3(); const b = new THREE.Vector3();
+    this.el.object3D.getWorldPosition(a);
+    cam.getWorldPosition(b);
+    return a.distanceTo(b) || 1.8;
+  },
+  // Pose the mesh for progress t (0..1 over the whole transition)
+  apply: function(t){
+    const state = this.active;
+    const mesh = this.el.getObject3D('mesh');
+    const panel = this.el.components['curved-panel'];
+
+    if(BLEND_EFFECTS.includes(state.effect)){
+      if(panel && state.from) panel.setBlend(state.from, 1 - ease(state.easing, t), state.effect === 'dissolve');
+      return;
+    }
+
+    // two-phase effects: the old image leaves over the first half, the new one arrives over the second
+    const leaving = t < 0.5;
+    if(!leaving) this.doSwap();
+    const k = leaving ? ease(state.easing, t * 2) : 1 - ease(state.easing, (t - 0.5) * 2); // 0 = in place, 1 = fully away
+    if(!mesh) return;
+    const mat = mesh.material;
+    if(state.effect === 'flip'){
+      mesh.rotation.y = (leaving ? 1 : -1) * k * Math.PI / 2;
+    } else if(state.effect === 'slide'){
+      // move along the viewing sphere (camera sits at local +z radius), turning to keep facing the viewer
+      const theta = (leaving ? 1 : -1) * k * SLIDE_DEG * Math.PI / 180;
+      mesh.position.set(state.radius * Math.sin(theta), 0, state.radius * (1 - Math.cos(theta)));
+      mesh.rotation.y = -theta;
+      if(mat) mat.opacity = 1 - k;
+    } else if(state.effect === 'zoom'){
+      mesh.scale.setScalar(1 - (1 - ZOOM_MIN) * k);
+      if(mat) mat.opacity = 1 - k;
+    } else if(mat){
+      mat.opacity = 1 - k;
+    }
+  },
+  tick: function(time, delta){
+    const state = this.active;
+    if(!state) return;
+    state.elapsed += Math.min(delta || 0, MAX_FRAME_MS);
+    const t = Math.min(1, state.elapsed / state.duration);
+    if(t >= 1) this.finish(false);
+    else this.apply(t);
+  }
+});
+
+export { EFFECTS, EASING_NAMES, ease };
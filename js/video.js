@@ -0,0 +1,166 @@
+/**
+ * VR Slideshow — Video clips on panels
+ * Purpose: Probe picked mp4/webm clips, and run playback on panels: a panel showing a clip
+ * is "busy" (dataset.busy === 'true') until the clip ends or maxHoldSec passes, and only one
+ * panel at a time has audio focus (the others play muted).
+ *
+ * probeVideo(blob) -> Promise<{ url, width, height, duration, poster }>
+ * const ctl = createVideoController({ maxHoldSec, sound, onReleased, scheduler: () => sceneEl.systems['slideshow-scheduler'] });
+ * ctl.start(panelEl, videoEl) / ctl.stop(panelEl) / ctl.stopAll() / ctl.isBusy(panelEl)
+ * ctl.pause() / ctl.resume()   (with the show: clips stop where they are; the hold counts on the scene clock, js/scheduler.js)
+ */
+
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+const POSTER_MAX = 320;
+const PROBE_TIMEOUT_MS = 15000;   // a clip that never finishes loading or seeking is reported, not waited on
+
+function isVideoBlob(blob, name){
+  const type = (blob && blob.type) || '';
+  if(VIDEO_TYPES.includes(type)) return true;
+  return !type && /\.(mp4|m4v|webm)$/i.test(name || '');
+}
+
+// Load metadata, grab a poster frame for the thumbnail; resolves with an object URL the caller owns
+function probeVideo(blob){
+  return new Promise((resolve,reject)=>{
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    let settled = false;
+    function fail(msg){
+      if(settled) return;
+      settled = true;
+      clearTimeout(timer);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+      reject(new Error(msg));
+    }
+    const timer = setTimeout(()=> fail('Video could not be read'), PROBE_TIMEOUT_MS);
+    video.onerror = ()=> fail('Video decode failed');
+    video.onloadedmetadata = ()=>{
+      if(!video.videoWidth || !video.videoHeight) return fail('Video has no picture');
+      video.currentTime = Math.min(1, (video.duration || 0) / 2);
+    };
+    video.onseeked = ()=>{
+      if(settled) return;
+      let poster = '';
+      try {
+        const scale = Math.min(1, POSTER_MAX / Math.max(video.videoWidth, video.videoHeight));
+        const cvs = document.createElement('canvas');
+        cvs.width = Math.round(video.videoWidth * scale);
+        cvs.height = Math.round(video.videoHeight * scale);
+        cvs.getContext('2d').drawImage(video, 0, 0, cvs.width, cvs.height);
+        poster = cvs.toDataURL('image/jpeg', 0.7);
+      } catch(e){}
+      settled = true;
+      clearTimeout(timer);
+      resolve({ url, width: video.videoWidth, height: video.videoHeight, duration: isFinite(video.duration) ? video.duration : 0, poster });
+      video.removeAttribute('src');
+      video.load();
+    };
+    video.src = url;
+  });
+}
+
+function createVideoController(options){
+  const opts = options || {};
+  let maxHoldSec = opts.maxHoldSec || 30;
+  let sound = opts.sound !== false;
+  const onReleased = typeof opts.onReleased === 'function' ? opts.onReleased : null;
+  const scheduler = typeof opts.scheduler === 'function' ? opts.scheduler : ()=> null;
+
+  const active = new Map();   // panelEl -> { video, hold, onEnded, startedAt }
+  let focusPanel = null;
+  let paused = false;
+  let nextHold = 1;
+
+  function usersOf(video){ let n = 0; active.forEach(a => { if(a.video === video) n++; }); return n; }
+
+  // Give audio to panel (or the most recently started clip when panel is null); mute the rest
+  function assignFocus(panel){
+    if(!sound){ focusPanel = null; }
+    else if(panel && active.has(panel)){ focusPanel = panel; }
+    else {
+      focusPanel = null;
+      let latest = -1;
+      active.forEach((a,p)=>{ if(a.startedAt > latest){ latest = a.startedAt; focusPanel = p; } });
+    }
+    active.forEach((a,p)=>{ a.video.muted = p !== focusPanel; });
+  }
+
+  function release(panel){
+    const a = active.get(panel);
+    if(!a) return;
+    const sch = scheduler();
+    if(sch) sch.cancel(a.hold);
+    a.video.removeEventListener('ended', a.onEnded);
+    active.delete(panel);
+    delete panel.dataset.busy;
+    if(!usersOf(a.video)) a.video.pause();
+    if(focusPanel === panel) assignFocus(null);
+  }
+
+  function start(panel, video){
+    if(!panel || !video) return;
+    release(panel);
+    video.loop = false;
+    video.playsInline = true;
+    const entry = { video, hold: 'clip-hold-' + (nextHold++), onEnded: null, startedAt: performance.now() };
+    entry.onEnded = ()=> finish(panel);
+    video.addEventListener('ended', entry.onEnded);
+    const sch = scheduler();
+    if(sch) sch.schedule(entry.hold, { delay: ()=> Math.max(1, maxHoldSec), onDue: ()=> finish(panel) });
+    active.set(panel, entry);
+    panel.dataset.busy = 'true';
+    if(usersOf(video) === 1) video.currentTime = 0;
+    // newest clip takes the audio
+    assignFocus(panel);
+    // a clip put up while the show is paused waits for resume()
+    if(!paused) playClip(panel, video);
+  }
+
+  function playClip(panel, video){
+    const p = video.play();
+    if(p && p.catch) p.catch(err => {
+      // autoplay with sound refused: fall back to muted playback
+      video.muted = true;
+      video.play().catch(()=> finish(panel));
+      console.warn('Video play() rejected', err);
+    });
+  }
+
+  // Clip ended (or hit the hold limit): the panel keeps its last frame but is free to be replaced
+  function finish(panel){
+    if(!active.has(panel)) return;
+    release(panel);
+    if(onReleased) onReleased(panel);
+  }
+
+  // The hold timers already stop with the scheduler; the pictures and sound stop here
+  function pause(){
+    paused = true;
+    active.forEach(a => a.video.pause());
+  }
+  function resume(){
+    if(!paused) return;
+    paused = false;
+    const resumed = new Set();
+    active.forEach((a, panel) => {
+      if(resumed.has(a.video) || a.video.ended) return;
+      resumed.add(a.video);
+      playClip(panel, a.video);
+    });
+  }
+
+  function stopAll(){ Array.from(active.keys()).forEach(release); }
+  function isBusy(panel){ return active.has(panel); }
+  function setMaxHold(sec){ maxHoldSec = sec; }
+  function setSound(on){ sound = !!on; assignFocus(focusPanel); }
+
+  return { start, stop: release, stopAll, isBusy, setMaxHold, setSound, pause, resume };
+}
+
+export { VIDEO_TYPES, isVideoBlob, probeVideo, createVideoController };
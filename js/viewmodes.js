@@ -0,0 +1,66 @@
+/**
+ * VR Slideshow — Viewing modes
+ * Purpose: How the show is watched, picked on the setup page and remembered on this device:
+ *   vr      - immersive WebXR headset (the original behaviour)
+ *   desktop - the 3D scene in the page: drag to look around, click panels, keyboard shortcuts
+ *   magic   - phone / tablet "magic window": the scene follows the device orientation
+ *   gallery - a flat 2D wall of photos, for a TV, a projector or a cast browser tab
+ * Every mode runs on the same panel sequencer; only the presentation differs.
+ *
+ * detectMode() -> Promise<mode>    (best guess for a first visit: headset, touch device, else desktop)
+ * loadMode() / saveMode(mode)      (localStorage)
+ * keyAction(key, mode) -> { action, value } | { turn: deg } | { fullscreen: true } | null
+ */
+
+const MODES = ['vr', 'desktop', 'magic', 'gallery'];
+const MODE_KEY = 'vrslideshow.viewMode';
+const TURN_DEG = 30;
+
+function isMode(mode){ return MODES.includes(mode); }
+function is3d(mode){ return mode !== 'gallery'; }
+
+function loadMode(){
+  try { const m = localStorage.getItem(MODE_KEY); return isMode(m) ? m : null; } catch(e){ return null; }
+}
+function saveMode(mode){
+  if(!isMode(mode)) return;
+  try { localStorage.setItem(MODE_KEY, mode); } catch(e){}
+}
+
+async function detectMode(){
+  try {
+    if(navigator.xr && await navigator.xr.isSessionSupported('immersive-vr')) return 'vr';
+  } catch(e){}
+  const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+  return coarse && 'DeviceOrientationEvent' in window ? 'magic' : 'desktop';
+}
+
+// iOS only hands out orientation events after an explicit permission prompt (must run in a user gesture)
+function requestOrientationPermission(){
+  const DOE = window.DeviceOrientationEvent;
+  if(!DOE || typeof DOE.requestPermission !== 'function') return Promise.resolve(true);
+  return DOE.requestPermission().then(state => state === 'granted').catch(()=> false);
+}
+
+// Keyboard shortcuts outside the headset; the same actions the in-VR menu emits
+function keyAction(key, mode){
+  switch(key){
+    case ' ': return { action: 'pause' };
+    case 'n': case 'N': case 'PageDown': return { action: 'next' };
+    case 'p': case 'P': case 'PageUp': return { action: 'prev' };
+    case '+': case '=': return { action: 'interval', value: 1 };
+    case '-': case '_': return { action: 'interval', value: -1 };
+    case 'c': case 'C': return { action: 'captions' };
+    case 'Escape': return { action: 'exit' };
+    case 'f': case 'F': return { fullscreen: true };
+    case 'r': case 'R': return is3d(mode) ? { action: 'recentre' } : null;
+    case '1': return is3d(mode) ? { action: 'panel-size', value: 'small' } : null;
+    case '2': return is3d(mode) ? { action: 'panel-size', value: 'medium' } : null;
+    case '3': return is3d(mode) ? { action: 'panel-size', value: 'large' } : null;
+    case 'ArrowLeft': return is3d(mode) ? { turn: TURN_DEG } : { action: 'prev' };
+    case 'ArrowRight': return is3d(mode) ? { turn: -TURN_DEG } : { action: 'next' };
+    default: return null;
+  }
+}
+
+export { MODES, isMode, is3d, loadMode, saveMode, detectMode, requestOrientationPermission, keyAction };
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * VR Slideshow — Sync relay
+ * Purpose: The small server synced headsets meet at (see js/sync.js). Run it on a laptop on the same
+ * network as the headsets; it passes the presenter's show events on to the followers in its room,
+ * and serves this folder, so the headsets can open the app from it too. Plain Node, no packages.
+ *
+ *   node relay/server.js [--port 8090] [--cert cert.pem --key key.pem]
+ *
+ * Headsets only allow VR on https pages, so for VR give it a certificate (a self-signed one works
+ * once the headset browser has been told to accept it) and open https://<laptop address>:<port>/.
+ * The relay is then at wss://<laptop address>:<port>/relay.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RELAY_PATH = '/relay';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+const MIME = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.json': 'application/json',
+  '.css': 'text/css', '.txt': 'text/plain; charset=utf-8', '.png': 'image/png', '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.gif': 'image/gif', '.mp4': 'video/mp4', '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.ogg': 'audio/ogg', '.wav': 'audio/wav'
+};
+
+function parseArgs(argv){
+  const opts = { port: parseInt(process.env.PORT, 10) || 8090, cert: null, key: null };
+  for(let i = 0; i < argv.length; i++){
+    if(argv[i] === '--port') opts.port = parseInt(argv[++i], 10);
+    else if(argv[i] === '--cert') opts.cert = argv[++i];
+    else if(argv[i] === '--key') opts.key = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if(!(opts.port > 0)) throw new Error('--port needs a number');
+  if(!!opts.cert !== !!opts.key) throw new Error('--cert and --key go together');
+  return opts;
+}
+
+// Static files: the app itself (no dot-files, nothing outside the folder)
+function serveStatic(req, res){
+  if(req.method !== 'GET' && req.method !== 'HEAD'){ res.writeHead(405); res.end(); return; }
+  let pathname;
+  try { pathname = decodeURIComponent(new URL(req.url, 'http://relay').pathname); }
+  catch(e){ res.writeHead(400); res.end(); return; }
+  if(pathname.split('/').some(part => part.startsWith('.'))){ res.writeHead(404); res.end('Not found'); return; }
+  let file = path.join(ROOT, pathname);
+  if(file !== ROOT && !file.startsWith(ROOT + path.sep)){ res.writeHead(404); res.end('Not found'); return; }
+  fs.stat(file, (err, stat) => {
+    if(!err && stat.isDirectory()){ file = path.join(file, 'index.html'); }
+    fs.stat(file, (err2, stat2) => {
+      if(err2 || !stat2.isFile()){ res.writeHead(404); res.end('Not found'); return; }
+      res.writeHead(200, { 'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream', 'Content-Length': stat2.size, 'Cache-Control': 'no-cache' });
+      if(req.method === 'HEAD'){ res.end(); return; }
+      fs.createReadStream(file).pipe(res);
+    });
+  });
+}
+
+// Minimal WebSocket (RFC 6455): text messages, ping/pong, close
+function encodeFrame(opcode, payload){
+  const len = payload.length;
+  let header;
+  if(len < 126){ header = Buffer.alloc(2); header[1] = len; }
+  else if(len < 65536){ header = Buffer.alloc(4); header[1] = 126; header.writeUInt16BE(len, 2); }
+  else { header = Buffer.alloc(10); header[1] = 127; header.writeUInt32BE(0, 2); header.writeUInt32BE(len, 6); }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+function createConnection(socket, onText, onClose){
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;     // the message so far: a client could keep sending non-final frames
+  let open = true;
+  const conn = { alive: true, send, ping, close };
+
+  function send(text){ if(open) socket.write(encodeFrame(0x1, Buffer.from(text))); }
+  function ping(){ if(open) socket.write(encodeFrame(0x9, Buffer.alloc(0))); }
+  function close(code){
+    if(!open) return;
+    open = false;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code || 1000, 0);
+    socket.end(encodeFrame(0x8, body));
+    onClose();
+  }
+
+  function handle(opcode, fin, payload){
+    conn.alive = true;
+    if(opcode === 0x8){ close(1000); return; }
+    if(opcode === 0x9){ socket.write(encodeFrame(0xA, payload)); return; }
+    if(opcode === 0xA) return;
+    if(opcode !== 0x0){ fragments = []; fragmentBytes = 0; }
+    fragmentBytes += payload.length;
+    if(fragmentBytes > MAX_MESSAGE_BYTES){ close(1009); return; }
+    fragments.push(payload);
+    if(!fin) return;
+    const message = Buffer.concat(fragments);
+    const text = opcode === 0x1 || opcode === 0x0 ? message.toString('utf8') : null;
+    fragments = [];
+    fragmentBytes = 0;
+    if(text !== null) onText(text);
+  }
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while(open && buffer.length >= 2){
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if(len === 126){
+        if(buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if(len === 127){
+        if(buffer.length < 10) return;
+        len = buffer.readUInt32BE(2) ? Infinity : buffer.readUInt32BE(6);
+        offset = 10;
+      }
+      if(!masked){ close(1002); return; }        // clients must mask
+      if(len > MAX_MESSAGE_BYTES){ close(1009); return; }
+      if(buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for(let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+      handle(opcode, fin, payload);
+    }
+  });
+  socket.on('close', () => { if(open){ open = false; onClose(); } });
+  socket.on('error', () => socket.destroy());
+  return conn;
+}
+
+// Rooms: one presenter, any number of followers. options.log gets the join / leave lines.
+function createRelay(options){
+  const log = (options && options.log) || console.log;
+  const rooms = new Map();   // name -> { presenter, followers: Set }
+  let nextId = 1;
+
+  function room(name){
+    if(!rooms.has(name)) rooms.set(name, { presenter: null, followers: new Set() });
+    return rooms.get(name);
+  }
+  function members(r){ return (r.presenter ? [r.presenter] : []).concat(Array.from(r.followers)); }
+  function announce(name){
+    const r = rooms.get(name);
+    if(!r) return;
+    const text = JSON.stringify({ type: 'peers', presenter: !!r.presenter, followers: r.followers.size });
+    members(r).forEach(c => c.conn.send(text));
+  }
+
+  function leave(client){
+    const r = client.room !== null && rooms.get(client.room);
+    if(!r) return;
+    if(r.presenter === client) r.presenter = null;
+    r.followers.delete(client);
+    if(!members(r).length) rooms.delete(client.room);
+    else announce(client.room);
+    log(`${client.role} ${client.id} left room "${client.room}"`);
+    client.room = null;
+  }
+
+  function join(client, msg){
+    leave(client);
+    const name = String(msg.room || 'default').slice(0, 100);
+    const r = room(name);
+    client.room = name;
+    client.role = msg.role === 'presenter' ? 'presenter' : 'follower';
+    if(client.role === 'presenter'){
+      // the newest presenter wins, e.g. after a reconnect the old socket hasn't timed out yet
+      if(r.presenter){
+        r.presenter.conn.send(JSON.stringify({ type: 'error', message: 'Another presenter took over this room' }));
+        r.presenter.role = 'follower';
+        r.followers.add(r.presenter);
+      }
+      r.presenter = client;
+    } else r.followers.add(client);
+    log(`${client.role} ${client.id} joined room "${name}"`);
+    announce(name);
+  }
+
+  function receive(client, text){
+    let msg;
+    try { msg = JSON.parse(text); } catch(e){ return; }
+    if(!msg || typeof msg.type !== 'string') return;
+    if(msg.type === 'join'){ join(client, msg); return; }
+    const r = client.room !== null && rooms.get(client.room);
+    if(!r) return;
+    if(client === r.presenter){
+      const targets = msg.to ? Array.from(r.followers).filter(c => c.id === msg.to) : Array.from(r.followers);
+      targets.forEach(c => c.conn.send(text));
+    } else if(msg.type === 'hello' && r.presenter){
+      r.presenter.conn.send(JSON.stringify({ type: 'hello', from: client.id }));
+    }
+  }
+
+  function accept(req, socket){
+    const key = req.headers['sec-websocket-key'];
+    if(!key || String(req.headers.upgrade).toLowerCase() !== 'websocket'){ socket.destroy(); return; }
+    const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`);
+    socket.setNoDelay(true);
+    let client = null;
+    client = addClient(createConnection(socket, text => client.receive(text), () => client.leave()));
+  }
+
+  // conn: { send(text), ping(), close(code), alive } for one connected headset
+  function addClient(conn){
+    const client = { id: 'c' + (nextId++), room: null, role: 'follower', conn };
+    return { id: client.id, receive: text => receive(client, text), leave: () => leave(client) };
+  }
+
+  // drop headsets that went to sleep without closing their connection
+  function heartbeat(){
+    rooms.forEach(r => members(r).forEach(c => {
+      if(!c.conn.alive){ c.conn.close(1001); return; }
+      c.conn.alive = false;
+      c.conn.ping();
+    }));
+  }
+
+  return { accept, addClient, heartbeat, rooms };
+}
+
+// Upgrades anywhere but RELAY_PATH (or to a path that doesn't parse) are dropped
+function upgradeHandler(relay){
+  return (req, socket) => {
+    let pathname;
+    try { pathname = new URL(req.url, 'http://relay').pathname; }
+    catch(e){ socket.destroy(); return; }
+    if(pathname !== RELAY_PATH){ socket.destroy(); return; }
+    relay.accept(req, socket);
+  };
+}
+
+function lanAddresses(){
+  const out = [];
+  Object.values(os.networkInterfaces()).forEach(list => (list || []).forEach(a => {
+    if(a.family === 'IPv4' && !a.internal) out.push(a.address);
+  }));
+  return out.length ? out : ['localhost'];
+}
+
+function main(){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch(e){ console.error(e.message); process.exit(1); }
+  const secure = !!opts.cert;
+  const server = secure
+    ? https.createServer({ cert: fs.readFileSync(opts.cert), key: fs.readFileSync(opts.key) }, serveStatic)
+    : http.createServer(serveStatic);
+  const relay = createRelay();
+  server.on('upgrade', upgradeHandler(relay));
+  setInterval(relay.heartbeat, HEARTBEAT_MS).unref();
+  server.listen(opts.port, () => {
+    const scheme = secure ? 'https' : 'http';
+    lanAddresses().forEach(addr => console.log(`VR Slideshow: ${scheme}://${addr}:${opts.port}/   relay: ${secure ? 'wss' : 'ws'}://${addr}:${opts.port}${RELAY_PATH}`));
+    if(!secure) console.log('Headsets need https for VR: add --cert and --key (see README.txt).');
+  });
+}
+
+if(process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
+
+export { createRelay, createConnection, upgradeHandler, encodeFrame, parseArgs };
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { components } from './helpers/aframe-stub.js';
+import { DEFAULT_COMFORT, normalizeComfort, comfortTransition, comfortLayout, indicatorAngle } from '../js/comfort.js';
+import { keyAction } from '../js/viewmodes.js';
+
+test('comfort settings fill in defaults and keep values in range', () => {
+  assert.deepEqual(normalizeComfort(), DEFAULT_COMFORT);
+  const c = normalizeComfort({ seated: 1, seatedArcDeg: '90', indicator: 'bell', distance: '9', textScale: '1.5', extra: true });
+  assert.equal(c.seated, true);
+  assert.equal(c.seatedArcDeg, 90);
+  assert.equal(c.indicator, 'off');
+  assert.equal(c.distance, 3);
+  assert.equal(c.textScale, 1.5);
+  assert.equal('extra' in c, false);
+  assert.equal(normalizeComfort({ distance: 0.2 }).distance, 1.2);
+  assert.equal(normalizeComfort({ distance: 'far' }).distance, DEFAULT_COMFORT.distance);
+  assert.equal(normalizeComfort({ textScale: 7 }).textScale, 1);
+});
+
+test('reduced motion turns moving transitions into crossfades', () => {
+  const flip = { effect: 'flip', duration: 900, easing: 'linear' };
+  assert.deepEqual(comfortTransition(flip, { reducedMotion: true }), { effect: 'crossfade', duration: 900, easing: 'linear' });
+  assert.equal(comfortTransition(flip, { reducedMotion: false }), flip);
+  const dissolve = { effect: 'dissolve', duration: 900, easing: 'linear' };
+  assert.equal(comfortTransition(dissolve, { reducedMotion: true }), dissolve);
+});
+
+test('seated viewing lays any show out as a forward arc', () => {
+  assert.deepEqual(comfortLayout('scatter', normalizeComfort()), { layout: 'scatter', options: {} });
+  const seated = comfortLayout('packed', normalizeComfort({ seated: true, seatedArcDeg: 90 }));
+  assert.equal(seated.layout, 'arc');
+  assert.equal(seated.options.arcDeg, 90);
+  assert.ok(seated.options.arcElevationDeg < 40);
+});
+
+test('the indicator arrow points the short way to the panel and hides when it is in view', () => {
+  assert.equal(indicatorAngle({ x: 0, y: 0, z: -2 }), null);
+  assert.equal(indicatorAngle({ x: 0.5, y: 0.2, z: -2 }), null);
+  assert.equal(Math.round(indicatorAngle({ x: 2, y: 0, z: 0 })), -90);    // right: clockwise from up
+  assert.equal(Math.round(indicatorAngle({ x: -2, y: 0, z: 0.5 })), 90);  // behind on the left
+  assert.equal(Math.abs(Math.round(indicatorAngle({ x: 0, y: 2, z: -0.5 }))), 0);   // overhead
+  assert.equal(Math.round(indicatorAngle({ x: 0, y: 0, z: 2 })), -90);    // straight behind: turn right
+});
+
+test('swap-indicator registers and R recentres outside the headset', () => {
+  assert.ok(components.has('swap-indicator'));
+  assert.deepEqual(keyAction('r', 'desktop'), { action: 'recentre' });
+  assert.equal(keyAction('r', 'gallery'), null);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { components } from './helpers/aframe-stub.js';
+import { ENVIRONMENTS, FRAME_STYLES, frameWidth, dominantColor } from '../js/environments.js';
+import { normalizeSettings } from '../js/playlists.js';
+
+function pixels(list){
+  const out = new Uint8ClampedArray(list.length * 4);
+  list.forEach((rgb, i) => out.set([rgb[0], rgb[1], rgb[2], 255], i * 4));
+  return out;
+}
+
+test('the dominant colour is the main saturated colour, not the grey around it', () => {
+  const photo = pixels([].concat(
+    Array(60).fill([128, 128, 128]),       // overcast sky
+    Array(25).fill([30, 140, 40]),         // a green field
+    Array(15).fill([200, 40, 30])          // a red boat
+  ));
+  const c = dominantColor(photo);
+  assert.ok(c.g > c.r && c.g > c.b, `expected green, got ${JSON.stringify(c)}`);
+});
+
+test('dominant colour averages within its bucket and ignores transparent pixels', () => {
+  const photo = pixels([[200, 40, 70], [210, 50, 80]]);
+  assert.deepEqual(dominantColor(photo), { r: 205, g: 45, b: 75 });
+  const hidden = new Uint8ClampedArray([0, 255, 0, 0, 90, 90, 200, 255]);
+  assert.deepEqual(dominantColor(hidden), { r: 90, g: 90, b: 200 });
+  assert.deepEqual(dominantColor(new Uint8ClampedArray(0)), { r: 0, g: 0, b: 0 });
+});
+
+test('frames have a border only when there is a frame', () => {
+  assert.equal(frameWidth('none'), 0);
+  FRAME_STYLES.filter(s => s !== 'none').forEach(s => assert.ok(frameWidth(s) > 0, s));
+  assert.equal(frameWidth('gold'), 0);
+});
+
+test('environment and frame components are registered', () => {
+  assert.ok(components.has('slideshow-environment'));
+  assert.ok(components.has('panel-frame'));
+});
+
+test('environment settings are kept with the show settings', () => {
+  assert.deepEqual(
+    (({ environment, frame, shadows }) => ({ environment, frame, shadows }))(normalizeSettings({ environment: 'gallery', frame: 'wood', shadows: 1 })),
+    { environment: 'gallery', frame: 'wood', shadows: true }
+  );
+  const fallback = normalizeSettings({ environment: 'moon', frame: 'gold' });
+  assert.equal(fallback.environment, 'black');
+  assert.equal(fallback.frame, 'none');
+  assert.equal(fallback.shadows, false);
+  assert.ok(ENVIRONMENTS.includes('ambient'));
+});
@@ -0,0 +1,11 @@
+// Modules that register A-Frame components and systems do so when imported; in Node there is no
+// A-Frame, so record the registrations instead. Import this before any module under test.
+const components = new Map();
+const systems = new Map();
+
+globalThis.AFRAME = globalThis.AFRAME || {
+  registerComponent(name, definition){ components.set(name, definition); },
+  registerSystem(name, definition){ systems.set(name, definition); }
+};
+
+export { components, systems };
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fileToDataURL, getImageDimensionsFromDataUrl, sniffImageType, readImageType, isImageFile, needsReencode, contentKey,
+  describeImportError, runImports, collectDroppedFiles
+} from '../js/importer.js';
+
+// Just enough of the browser's FileReader and Image: data URLs from Blob bytes, and "decoding"
+// that reads the size from a PNG header
+globalThis.FileReader = class {
+  readAsDataURL(blob){
+    blob.arrayBuffer().then(buf => {
+      this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buf).toString('base64')}`;
+      this.onload();
+    }, () => this.onerror());
+  }
+};
+globalThis.Image = class {
+  set src(url){
+    setTimeout(() => {
+      const bytes = Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+      if(!url.startsWith('data:image/png') || bytes.toString('latin1', 12, 16) !== 'IHDR'){ this.onerror(); return; }
+      this.naturalWidth = bytes.readUInt32BE(16);
+      this.naturalHeight = bytes.readUInt32BE(20);
+      this.onload();
+    });
+  }
+};
+
+function pngHeader(width, height){
+  const bytes = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes, 0);
+  bytes.writeUInt32BE(13, 8);
+  bytes.write('IHDR', 12, 'latin1');
+  bytes.writeUInt32BE(width, 16);
+  bytes.writeUInt32BE(height, 20);
+  return bytes;
+}
+
+test('fileToDataURL encodes the bytes with the blob type', async () => {
+  const url = await fileToDataURL(new Blob(['hello'], { type: 'text/plain' }));
+  assert.equal(url, 'data:text/plain;base64,aGVsbG8=');
+});
+
+test('fileToDataURL rejects when the file cannot be read', async () => {
+  const broken = { type: 'image/jpeg', arrayBuffer: () => Promise.reject(new Error('gone')) };
+  await assert.rejects(fileToDataURL(broken), /FileReader error/);
+});
+
+test('image dimensions come from the decoded image', async () => {
+  const url = await fileToDataURL(new Blob([pngHeader(4032, 3024)], { type: 'image/png' }));
+  assert.deepEqual(await getImageDimensionsFromDataUrl(url), { width: 4032, height: 3024 });
+});
+
+test('an image that does not decode is an error', async () => {
+  const url = await fileToDataURL(new Blob(['not an image'], { type: 'image/png' }));
+  await assert.rejects(getImageDimensionsFromDataUrl(url), /Image decode failed/);
+});
+
+test('image types come from the first bytes', () => {
+  const ascii = text => Array.from(Buffer.from(text, 'latin1'));
+  const ftyp = (major, ...compatible) => {
+    const box = Buffer.alloc(16 + 4 * compatible.length);
+    box.writeUInt32BE(box.length, 0);
+    box.write('ftyp' + major + '\0\0\0\0' + compatible.join(''), 4, 'latin1');
+    return new Uint8Array(box);
+  };
+  assert.equal(sniffImageType(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1])), 'image/jpeg');
+  assert.equal(sniffImageType(new Uint8Array(pngHeader(1, 1))), 'image/png');
+  assert.equal(sniffImageType(ascii('GIF89a')), 'image/gif');
+  assert.equal(sniffImageType(ascii('RIFF\x10\0\0\0WEBPVP8 ')), 'image/webp');
+  assert.equal(sniffImageType(ftyp('heic', 'mif1', 'heic')), 'image/heic');
+  assert.equal(sniffImageType(ftyp('mif1', 'avif', 'miaf')), 'image/avif');
+  assert.equal(sniffImageType(ftyp('isom', 'mp41')), '');
+  assert.equal(sniffImageType(ascii('hello')), '');
+});
+
+test('a HEIC photo without a type is still recognised', async () => {
+  const heic = new Blob([Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic', 'latin1')]);
+  assert.equal(await readImageType(heic), 'image/heic');
+  assert.equal(await readImageType(new Blob(['plain'], { type: 'image/jpeg' })), 'image/jpeg');
+  assert.ok(isImageFile({ name: 'IMG_0042.HEIC', type: '' }));
+  assert.ok(!isImageFile({ name: 'notes.txt', type: 'text/plain' }));
+  assert.ok(needsReencode('image/heic') && needsReencode('image/avif') && !needsReencode('image/webp'));
+});
+
+test('content keys match for the same bytes only', async () => {
+  const a = await contentKey(new File(['same bytes'], 'a.jpg'));
+  assert.match(a, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(await contentKey(new File(['same bytes'], 'copy of a.jpg')), a);
+  assert.notEqual(await contentKey(new File(['other bytes'], 'a.jpg')), a);
+});
+
+test('import errors are explained', () => {
+  assert.match(describeImportError(new Error('The source image could not be decoded.'), 'image/heic'), /HEIC/);
+  assert.equal(describeImportError(new Error('Image decode failed'), 'image/jpeg'), 'not a readable image');
+  assert.equal(describeImportError(new Error('Quota exceeded'), 'image/jpeg'), 'Quota exceeded');
+});
+
+test('imports run concurrently but commit in order, and a failure does not stop the batch', async () => {
+  const delays = { a: 30, b: 5, bad: 20, d: 0, e: 10 };   // later items finish first
+  let running = 0;
+  let most = 0;
+  const committed = [];
+  const progress = [];
+  const result = await runImports(['a', 'b', 'bad', 'd', 'e'], {
+    concurrency: 3,
+    prepare: async item => {
+      most = Math.max(most, ++running);
+      await new Promise(r => setTimeout(r, delays[item]));
+      running--;
+      if(item === 'bad') throw new Error('not a readable image');
+      return item.toUpperCase();
+    },
+    commit: async value => { committed.push(value); },
+    onProgress: p => progress.push(p.done)
+  });
+  assert.deepEqual(committed, ['A', 'B', 'D', 'E']);
+  assert.equal(result.committed, 4);
+  assert.equal(result.failures.length, 1);
+  assert.equal(result.failures[0].item, 'bad');
+  assert.equal(most, 3);
+  assert.deepEqual(progress, [1, 2, 3, 4, 5]);
+});
+
+test('a failing commit is reported and the next item still commits', async () => {
+  const committed = [];
+  const result = await runImports([1, 2, 3], {
+    concurrency: 2,
+    prepare: async n => n,
+    commit: async n => { if(n === 2) throw new Error('Library full'); committed.push(n); }
+  });
+  assert.deepEqual(committed, [1, 3]);
+  assert.deepEqual(result.failures.map(f => f.item), [2]);
+});
+
+test('dropped folders are walked to their files', async () => {
+  const file = name => ({ isFile: true, name, file: ok => ok({ name }) });
+  const dir = (name, children) => ({
+    isDirectory: true,
+    name,
+    // hands entries over two at a time, like browsers do in larger batches
+    createReader(){ let at = 0; return { readEntries(ok){ ok(children.slice(at, at += 2)); } }; }
+  });
+  const trip = dir('trip', [file('a.jpg'), file('b.jpg'), dir('day 2', [file('c.jpg')]), file('d.m4a')]);
+  const dataTransfer = { items: [{ kind: 'file', webkitGetAsEntry: () => trip }, { kind: 'file', webkitGetAsEntry: () => file('e.jpg') }] };
+  const files = await collectDroppedFiles(dataTransfer);
+  assert.deepEqual(files.map(f => f.name), ['a.jpg', 'b.jpg', 'c.jpg', 'd.m4a', 'e.jpg']);
+  assert.deepEqual(await collectDroppedFiles({ items: [], files: [{ name: 'x.jpg' }] }), [{ name: 'x.jpg' }]);
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { STRATEGY_NAMES, computeLayout, positionFromAngles, angularWidthDeg, angularHeightDeg, yawDistance } from '../js/layout.js';
+import { createRandom } from '../js/random.js';
+
+const RADIUS = 1.8;
+const options = seed => ({ radius: RADIUS, bandElevationDeg: 25, minSeparationDeg: 28, random: createRandom(seed) });
+const panels = (n, width) => Array.from({ length: n }, (_, i) => ({ width: width || (0.6 + (i % 3) * 0.2), height: 0.65 }));
+const close = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-9, `${msg || ''} ${a} != ${b}`);
+
+// Angular boxes of two placed panels overlap (same test the strategies aim to avoid)
+function overlapping(a, b, sizeA, sizeB, scale){
+  const yawGap = yawDistance(a.yawDeg, b.yawDeg);
+  const elevGap = Math.abs(a.elevationDeg - b.elevationDeg);
+  const halfW = (angularWidthDeg(sizeA.width * scale, RADIUS, a.elevationDeg) + angularWidthDeg(sizeB.width * scale, RADIUS, b.elevationDeg)) / 2;
+  const halfH = (angularHeightDeg(sizeA.height * scale, RADIUS) + angularHeightDeg(sizeB.height * scale, RADIUS)) / 2;
+  return yawGap < halfW - 1e-6 && elevGap < halfH - 1e-6;
+}
+
+test('positionFromAngles: straight ahead, to the right, overhead', () => {
+  const ahead = positionFromAngles(0, 0, 2, 1.6);
+  close(ahead.x, 0); close(ahead.y, 1.6); close(ahead.z, -2); close(ahead.theta, 0);
+  const right = positionFromAngles(90, 0, 2, 0);
+  close(right.x, 2); close(right.z, 0); close(right.theta, Math.PI / 2);
+  const up = positionFromAngles(0, 90, 2, 0);
+  close(up.y, 2);
+  close(Math.hypot(up.x, up.z), 0);
+});
+
+test('positionFromAngles keeps every panel on the sphere', () => {
+  const random = createRandom(7);
+  for(let i = 0; i < 50; i++){
+    const p = positionFromAngles(random() * 360, random() * 60 - 30, RADIUS, 1.6);
+    close(Math.hypot(p.x, p.y - 1.6, p.z), RADIUS, 'distance from the eye');
+  }
+});
+
+test('yawDistance wraps around', () => {
+  assert.equal(yawDistance(350, 10), 20);
+  assert.equal(yawDistance(10, 350), 20);
+  assert.equal(yawDistance(0, 180), 180);
+  assert.equal(yawDistance(-90, 270), 0);
+});
+
+test('every strategy places every panel', () => {
+  for(const name of STRATEGY_NAMES){
+    for(const n of [1, 5, 8, 24]){
+      const result = computeLayout(name, panels(n), options(n));
+      assert.equal(result.placements.length, n, `${name} with ${n} panels`);
+      result.placements.forEach(p => assert.ok(isFinite(p.yawDeg) && isFinite(p.elevationDeg), `${name}: bad placement`));
+      assert.ok(result.scale > 0 && result.scale <= 1, `${name}: scale ${result.scale}`);
+    }
+  }
+});
+
+test('scatter keeps panel centres apart and inside the band when there is room', () => {
+  for(let seed = 1; seed <= 20; seed++){
+    const result = computeLayout('scatter', panels(8), options(seed));
+    assert.equal(result.overlaps, 0);
+    const yaws = result.placements.map(p => p.yawDeg);
+    yaws.forEach((a, i) => yaws.slice(i + 1).forEach(b => assert.ok(yawDistance(a, b) >= 28, `seed ${seed}: ${a} and ${b} too close`)));
+    result.placements.forEach(p => assert.ok(Math.abs(p.elevationDeg) <= 25));
+  }
+});
+
+test('scatter reports the panels it could not keep apart', () => {
+  const result = computeLayout('scatter', panels(20), options(3));
+  assert.ok(result.overlaps > 0);
+});
+
+test('grid, arc and packed never overlap panels', () => {
+  for(const name of ['grid', 'arc', 'packed']){
+    for(const n of [3, 8, 16]){
+      const sizes = panels(n);
+      const result = computeLayout(name, sizes, options(n));
+      assert.equal(result.overlaps, 0, `${name} with ${n}`);
+      result.placements.forEach((a, i) => result.placements.slice(i + 1).forEach((b, k) => {
+        assert.ok(!overlapping(a, b, sizes[i], sizes[i + 1 + k], result.scale), `${name} with ${n}: panels ${i} and ${i + 1 + k} overlap`);
+      }));
+    }
+  }
+});
+
+test('arc keeps every panel inside its width and elevation limit', () => {
+  const sizes = panels(8);
+  const result = computeLayout('arc', sizes, Object.assign(options(4), { arcDeg: 120, arcElevationDeg: 20 }));
+  assert.equal(result.overlaps, 0);
+  result.placements.forEach((p, i) => {
+    const halfW = angularWidthDeg(sizes[i].width * result.scale, RADIUS, p.elevationDeg) / 2;
+    const halfH = angularHeightDeg(sizes[i].height * result.scale, RADIUS) / 2;
+    assert.ok(yawDistance(p.yawDeg, 0) + halfW <= 60 + 1e-6, `panel ${i} reaches past 60 deg`);
+    assert.ok(Math.abs(p.elevationDeg) + halfH <= 20 + 1e-6, `panel ${i} reaches past 20 deg elevation`);
+  });
+});
+
+test('ring spaces panels evenly at eye level', () => {
+  const result = computeLayout('ring', panels(6), options(1));
+  result.placements.forEach((p, i) => { close(p.yawDeg, i * 60); close(p.elevationDeg, 0); });
+});
+
+test('the same seed gives the same layout', () => {
+  for(const name of STRATEGY_NAMES){
+    assert.deepEqual(computeLayout(name, panels(8), options(99)), computeLayout(name, panels(8), options(99)), name);
+  }
+  assert.notDeepEqual(computeLayout('scatter', panels(8), options(1)), computeLayout('scatter', panels(8), options(2)));
+});
+
+test('unknown strategy names fall back to scatter', () => {
+  assert.deepEqual(computeLayout('nope', panels(4), options(5)), computeLayout('scatter', panels(4), options(5)));
+});
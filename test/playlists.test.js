@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/aframe-stub.js';
+import { DEFAULT_SETTINGS, MAX_DWELL_SEC, normalizeSettings, createPlaylist, moveItem, buildManifest, validateManifest } from '../js/playlists.js';
+import { parseQuery, buildShareUrl, loadManifest, entrySource } from '../js/hosted.js';
+
+test('normalizeSettings fills in defaults and clamps', () => {
+  assert.deepEqual(normalizeSettings(undefined), DEFAULT_SETTINGS);
+  const s = normalizeSettings({ replaceInterval: '500', visiblePanels: 0.4, layout: 'spiral', fit: 'cover', captions: 'details', beatSync: 1 });
+  assert.equal(s.replaceInterval, 60);
+  assert.equal(s.visiblePanels, 1);
+  assert.equal(s.layout, DEFAULT_SETTINGS.layout);
+  assert.equal(s.fit, 'cover');
+  assert.equal(s.captions, 'details');
+  assert.equal(s.beatSync, true);
+});
+
+test('moveItem reorders and refuses out-of-range moves', () => {
+  const pl = createPlaylist('Trip', ['a', 'b', 'c']);
+  assert.equal(moveItem(pl, 0, 2), true);
+  assert.deepEqual(pl.itemIds, ['b', 'c', 'a']);
+  assert.equal(moveItem(pl, 0, 3), false);
+  assert.equal(moveItem(pl, 1, 1), false);
+});
+
+test('an exported manifest validates and keeps captions and hold times', () => {
+  const pl = createPlaylist('Trip', ['img0', 'img1'], { layout: 'ring' });
+  const manifest = buildManifest(pl, [
+    { id: 'img0', name: 'a.jpg', width: 800, height: 600, type: 'image/jpeg', caption: 'Harbour', dwell: 12 },
+    { id: 'img1', name: 'b.mp4', width: 1920, height: 1080, type: 'video/mp4', kind: 'video', duration: 8 }
+  ]);
+  assert.deepEqual(validateManifest(manifest), []);
+  assert.equal(manifest.settings.layout, 'ring');
+  assert.equal(manifest.images[0].caption, 'Harbour');
+  assert.equal(manifest.images[0].dwell, 12);
+  assert.equal(manifest.images[1].kind, 'video');
+});
+
+test('validateManifest names each problem', () => {
+  assert.deepEqual(validateManifest([]), ['manifest must be a JSON object']);
+  const errors = validateManifest({ format: 'other', version: 1, name: '', images: [{ name: 'a.jpg', width: 0, height: 10, dwell: MAX_DWELL_SEC + 1 }] });
+  assert.ok(errors.some(e => e.includes('format')));
+  assert.ok(errors.some(e => e.includes('name must be')));
+  assert.ok(errors.some(e => e.includes('images[0].width')));
+  assert.ok(errors.some(e => e.includes('images[0].dwell')));
+});
+
+test('hosted images may leave out their size', () => {
+  const manifest = { format: 'vr-slideshow-playlist', version: 1, name: 'Lisbon', images: [{ name: 'tram.jpg', src: 'tram.jpg' }] };
+  assert.deepEqual(validateManifest(manifest), []);
+});
+
+test('a bundle opened from a link keeps its embedded images; linked images resolve next to the manifest', async () => {
+  const pixel = 'data:image/png;base64,iVBORw0KGgo=';
+  const bundle = buildManifest(createPlaylist('Lisbon'), [
+    { id: 'a', name: 'tram.jpg', width: 4, height: 3, type: 'image/jpeg', dataUrl: pixel },
+    { id: 'b', name: 'river.jpg', width: 4, height: 3, type: 'image/jpeg', dataUrl: pixel }
+  ], { embed: true });
+  bundle.images.push({ name: 'castle.jpg', src: 'photos/castle.jpg' });
+  const saved = { window: globalThis.window, fetch: globalThis.fetch };
+  globalThis.window = { location: { href: 'https://example.org/slides/index.html' } };
+  globalThis.fetch = async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(bundle)) });
+  try {
+    const { manifest, baseUrl } = await loadManifest('trips/lisbon.json');
+    assert.equal(baseUrl, 'https://example.org/slides/trips/lisbon.json');
+    assert.deepEqual(manifest.images.map(img => entrySource(img, baseUrl)), [pixel, pixel, 'https://example.org/slides/trips/photos/castle.jpg']);
+  } finally {
+    globalThis.window = saved.window;
+    globalThis.fetch = saved.fetch;
+  }
+});
+
+test('share links carry changed settings, the show and sync, and read back the same', () => {
+  const settings = normalizeSettings({ replaceInterval: 8, layout: 'ring', beatSync: true });
+  const url = buildShareUrl('https://example.org/slides/index.html?x=1#top', { show: 'trips/lisbon.json', view: 'gallery', settings, sync: { role: 'follower', relay: 'wss://laptop:8090/relay', room: 'hall' } });
+  const parsed = parseQuery(new URL(url).search);
+  assert.equal(parsed.show, 'trips/lisbon.json');
+  assert.equal(parsed.view, 'gallery');
+  assert.deepEqual(parsed.settings, { replaceInterval: 8, layout: 'ring', beatSync: true });
+  assert.deepEqual(parsed.sync, { role: 'follower', relay: 'wss://laptop:8090/relay', room: 'hall' });
+  assert.ok(!url.includes('visiblePanels'), 'defaults are left out');
+});
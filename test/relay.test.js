@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { EventEmitter } from 'node:events';
+import { createRelay, createConnection, upgradeHandler, encodeFrame, parseArgs } from '../relay/server.js';
+
+// A headset as the relay sees it: records what it was sent
+function headset(relay, room, role){
+  const conn = { alive: true, sent: [], closed: null, send(text){ this.sent.push(JSON.parse(text)); }, ping(){}, close(code){ this.closed = code; } };
+  const client = relay.addClient(conn);
+  client.conn = conn;
+  if(room) client.receive(JSON.stringify({ type: 'join', room, role }));
+  conn.sent.length = 0;
+  return client;
+}
+const lastOf = (c, type) => c.conn.sent.filter(m => m.type === type).pop();
+
+test('joins and leaves are announced to the room', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const presenter = headset(relay, 'hall', 'presenter');
+  headset(relay, 'hall', 'follower');
+  assert.deepEqual(lastOf(presenter, 'peers'), { type: 'peers', presenter: true, followers: 1 });
+  const late = headset(relay, 'hall', 'follower');
+  late.leave();
+  assert.deepEqual(lastOf(presenter, 'peers'), { type: 'peers', presenter: true, followers: 1 });
+  presenter.leave();
+  assert.equal(relay.rooms.get('hall').presenter, null);
+});
+
+test('presenter messages reach every follower in its room only', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const presenter = headset(relay, 'hall', 'presenter');
+  const a = headset(relay, 'hall', 'follower');
+  const b = headset(relay, 'hall', 'follower');
+  const elsewhere = headset(relay, 'lobby', 'follower');
+  presenter.receive(JSON.stringify({ type: 'slide', panel: 2, name: 'tram.jpg', at: 1 }));
+  assert.equal(lastOf(a, 'slide').name, 'tram.jpg');
+  assert.equal(lastOf(b, 'slide').name, 'tram.jpg');
+  assert.equal(elsewhere.conn.sent.length, 0);
+  assert.equal(lastOf(presenter, 'slide'), undefined);
+});
+
+test('a follower hello reaches the presenter, and the answer only that follower', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const presenter = headset(relay, 'hall', 'presenter');
+  const a = headset(relay, 'hall', 'follower');
+  const b = headset(relay, 'hall', 'follower');
+  b.receive(JSON.stringify({ type: 'hello' }));
+  assert.deepEqual(lastOf(presenter, 'hello'), { type: 'hello', from: b.id });
+  presenter.receive(JSON.stringify({ type: 'state', to: b.id, seed: 7 }));
+  assert.equal(lastOf(b, 'state').seed, 7);
+  assert.equal(lastOf(a, 'state'), undefined);
+});
+
+test('followers cannot drive the show', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const presenter = headset(relay, 'hall', 'presenter');
+  const a = headset(relay, 'hall', 'follower');
+  const b = headset(relay, 'hall', 'follower');
+  a.receive(JSON.stringify({ type: 'pause', paused: true }));
+  a.receive('not json');
+  const shown = c => c.conn.sent.filter(m => m.type !== 'peers');
+  assert.deepEqual(shown(b), []);
+  assert.deepEqual(shown(presenter), []);
+});
+
+test('a new presenter takes over and the old one becomes a follower', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const first = headset(relay, 'hall', 'presenter');
+  const second = headset(relay, 'hall', 'presenter');
+  assert.match(lastOf(first, 'error').message, /took over/);
+  second.receive(JSON.stringify({ type: 'end' }));
+  assert.ok(lastOf(first, 'end'));
+  assert.deepEqual(lastOf(first, 'peers'), { type: 'peers', presenter: true, followers: 1 });
+});
+
+test('heartbeat closes headsets that stopped answering', () => {
+  const relay = createRelay({ log: ()=>{} });
+  const a = headset(relay, 'hall', 'follower');
+  relay.heartbeat();
+  assert.equal(a.conn.closed, null);
+  relay.heartbeat();
+  assert.equal(a.conn.closed, 1001);
+});
+
+test('an upgrade to a path that does not parse is dropped, and the relay keeps serving', async () => {
+  const server = http.createServer((req, res) => res.end('ok'));
+  server.on('upgrade', upgradeHandler(createRelay({ log: ()=>{} })));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  try {
+    await new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1', () => socket.write(
+        'GET // HTTP/1.1\r\nHost: relay\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n'));
+      socket.setTimeout(2000, () => { socket.destroy(); reject(new Error('request was not dropped')); });
+      socket.on('close', resolve);
+      socket.on('error', reject);
+    });
+    const body = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/' }, res => {
+        let text = '';
+        res.on('data', d => { text += d; });
+        res.on('end', () => resolve(text));
+      }).on('error', reject);
+    });
+    assert.equal(body, 'ok');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// What a headset puts on the wire: masked, any length form
+function clientFrame(opcode, fin, payload){
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const header = Buffer.from([(fin ? 0x80 : 0) | opcode]);
+  let len;
+  if(payload.length < 126) len = Buffer.from([0x80 | payload.length]);
+  else if(payload.length < 65536){ len = Buffer.alloc(3); len[0] = 0x80 | 126; len.writeUInt16BE(payload.length, 1); }
+  else { len = Buffer.alloc(9); len[0] = 0x80 | 127; len.writeUInt32BE(payload.length, 5); }
+  const body = Buffer.from(payload);
+  for(let i = 0; i < body.length; i++) body[i] ^= mask[i & 3];
+  return Buffer.concat([header, len, mask, body]);
+}
+
+test('a fragmented message is reassembled, and one that grows past the limit is refused', () => {
+  const socket = Object.assign(new EventEmitter(), { written: [], write(b){ this.written.push(b); }, end(b){ this.written.push(b); }, destroy(){} });
+  const texts = [];
+  let closed = false;
+  createConnection(socket, text => texts.push(text), () => { closed = true; });
+  socket.emit('data', clientFrame(0x1, false, Buffer.from('hel')));
+  socket.emit('data', clientFrame(0x0, true, Buffer.from('lo')));
+  assert.deepEqual(texts, ['hello']);
+  const piece = Buffer.alloc(400 * 1024, 0x61);
+  socket.emit('data', clientFrame(0x1, false, piece));
+  socket.emit('data', clientFrame(0x0, false, piece));
+  assert.equal(closed, false);
+  socket.emit('data', clientFrame(0x0, false, piece));
+  assert.equal(closed, true);
+  const last = socket.written.pop();
+  assert.equal(last[0], 0x88);
+  assert.equal(last.readUInt16BE(2), 1009);
+  assert.deepEqual(texts, ['hello']);
+});
+
+test('frames use the short, 16-bit and 64-bit length forms', () => {
+  assert.deepEqual([...encodeFrame(0x1, Buffer.from('hi'))], [0x81, 2, 0x68, 0x69]);
+  const medium = encodeFrame(0x1, Buffer.alloc(300));
+  assert.equal(medium[1], 126);
+  assert.equal(medium.readUInt16BE(2), 300);
+  const large = encodeFrame(0x2, Buffer.alloc(70000));
+  assert.equal(large[0], 0x82);
+  assert.equal(large[1], 127);
+  assert.equal(large.readUInt32BE(6), 70000);
+  assert.equal(large.length, 70010);
+});
+
+test('command line options', () => {
+  assert.equal(parseArgs(['--port', '9000']).port, 9000);
+  assert.throws(() => parseArgs(['--cert', 'c.pem']), /go together/);
+  assert.throws(() => parseArgs(['--verbose']), /Unknown option/);
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSequencer, shuffleArray, fillPanels, pickPanelIndex } from '../js/sequencer.js';
+import { createRandom } from '../js/random.js';
+
+function items(n, extra){
+  return Array.from({ length: n }, (_, i) => Object.assign({ id: 'img' + i, name: `photo${i}.jpg`, lastModified: 1000 - i }, extra && extra(i)));
+}
+
+// A small stand-in for the show: panels built with fillPanels, then replaceOnePanel's picks
+function runShow(opts){
+  const list = items(opts.images);
+  const random = createRandom(opts.seed || 1);
+  const seq = createSequencer({ mode: opts.mode || 'shuffle', items: list, random });
+  const panels = fillPanels(seq, opts.panels, list.length).map(m => m.id);
+  const onScreen = [panels.slice()];
+  for(let i = 0; i < opts.swaps; i++){
+    const idx = pickPanelIndex(panels, () => true, random);
+    const others = panels.filter((_, j) => j !== idx);
+    panels[idx] = seq.next(panels).id;
+    onScreen.push(panels.slice());
+    if(opts.onSwap) opts.onSwap(panels[idx], others);
+  }
+  return { seq, onScreen };
+}
+
+test('shuffle shows every image once per cycle', () => {
+  const list = items(12);
+  const seq = createSequencer({ mode: 'shuffle', items: list, random: createRandom(5) });
+  for(let cycle = 1; cycle <= 3; cycle++){
+    const seen = new Set();
+    for(let i = 0; i < list.length; i++) seen.add(seq.next([]).id);
+    assert.equal(seen.size, list.length, `cycle ${cycle} repeated an image`);
+  }
+});
+
+test('a cycle completes once every image has been shown, counting the initial panels', () => {
+  const completed = [];
+  const list = items(10);
+  const seq = createSequencer({ items: list, random: createRandom(9), onCycleComplete: info => completed.push(info) });
+  const shown = new Set(fillPanels(seq, 4, list.length).map(m => m.id));
+  while(shown.size < list.length) shown.add(seq.next([...shown].slice(-4)).id);
+  assert.deepEqual(seq.progress(), { shown: 10, total: 10, cycle: 1 });
+  seq.next([]);
+  assert.deepEqual(completed, [{ cycle: 1, total: 10 }]);
+  assert.equal(seq.progress().cycle, 2);
+});
+
+test('no image is displayed twice when there are enough images', () => {
+  for(const mode of ['shuffle', 'ordered', 'date', 'name', 'weighted']){
+    const { onScreen } = runShow({ mode, images: 12, panels: 8, swaps: 200, seed: 3 });
+    onScreen.forEach((ids, step) => assert.equal(new Set(ids).size, ids.length, `${mode}: duplicate on screen at step ${step}`));
+  }
+});
+
+test('fillPanels repeats images in turn when there are fewer images than panels', () => {
+  const list = items(3);
+  const seq = createSequencer({ mode: 'ordered', items: list });
+  const picks = fillPanels(seq, 8, list.length).map(m => m.id);
+  assert.deepEqual(picks, ['img0', 'img1', 'img2', 'img0', 'img1', 'img2', 'img0', 'img1']);
+});
+
+test('fillPanels keeps the images already up and fills the rest', () => {
+  const list = items(10);
+  const seq = createSequencer({ mode: 'ordered', items: list });
+  const kept = [list[7], list[2]];
+  const picks = fillPanels(seq, 4, list.length, kept).map(m => m.id);
+  assert.deepEqual(picks.slice(0, 2), ['img7', 'img2']);
+  assert.equal(new Set(picks).size, 4);
+});
+
+test('fillPanels with no images returns no panels', () => {
+  const seq = createSequencer({ items: [] });
+  assert.deepEqual(fillPanels(seq, 8, 0), []);
+});
+
+test('pickPanelIndex only picks free panels, and -1 when none is', () => {
+  const panels = ['a', 'b', 'c', 'd', 'e'];
+  const free = p => p === 'b' || p === 'd';
+  const random = createRandom(11);
+  const picked = new Set();
+  for(let i = 0; i < 100; i++) picked.add(pickPanelIndex(panels, free, random));
+  assert.deepEqual([...picked].sort(), [1, 3]);
+  assert.equal(pickPanelIndex(panels, () => false, random), -1);
+});
+
+test('ordered, date and name modes follow their order', () => {
+  const list = [
+    { id: 'a', name: 'img10.jpg', takenAt: 300 },
+    { id: 'b', name: 'img2.jpg', takenAt: 100 },
+    { id: 'c', name: 'img1.jpg', lastModified: 200 }
+  ];
+  const run = mode => { const seq = createSequencer({ mode, items: list }); return [seq.next(), seq.next(), seq.next()].map(m => m.id); };
+  assert.deepEqual(run('ordered'), ['a', 'b', 'c']);
+  assert.deepEqual(run('date'), ['b', 'c', 'a']);
+  assert.deepEqual(run('name'), ['c', 'b', 'a']);
+});
+
+test('weighted mode brings favourites up more often', () => {
+  const list = items(10, i => ({ favourite: i === 0 }));
+  const seq = createSequencer({ mode: 'weighted', items: list, random: createRandom(21) });
+  const counts = new Map();
+  for(let i = 0; i < 3000; i++){ const id = seq.next([]).id; counts.set(id, (counts.get(id) || 0) + 1); }
+  const others = list.slice(1).map(m => counts.get(m.id) || 0);
+  const average = others.reduce((a, b) => a + b, 0) / others.length;
+  assert.ok(counts.get('img0') > average * 2, `favourite came up ${counts.get('img0')} times, others ${average} on average`);
+});
+
+test('setItems keeps the cycle history and follows removals', () => {
+  const list = items(6);
+  const seq = createSequencer({ mode: 'ordered', items: list });
+  seq.next(); seq.next();
+  seq.setItems(list.filter(m => m.id !== 'img3'));
+  const rest = [seq.next(), seq.next(), seq.next()].map(m => m.id);
+  assert.deepEqual(rest, ['img2', 'img4', 'img5']);
+  assert.deepEqual(seq.progress(), { shown: 5, total: 5, cycle: 1 });
+});
+
+test('the same seed gives the same show', () => {
+  const a = runShow({ images: 20, panels: 6, swaps: 50, seed: 42 }).onScreen;
+  const b = runShow({ images: 20, panels: 6, swaps: 50, seed: 42 }).onScreen;
+  const c = runShow({ images: 20, panels: 6, swaps: 50, seed: 43 }).onScreen;
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+});
+
+test('shuffleArray is a permutation', () => {
+  const arr = shuffleArray([1, 2, 3, 4, 5, 6, 7, 8], createRandom(1));
+  assert.deepEqual(arr.slice().sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
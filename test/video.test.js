@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVideoController } from '../js/video.js';
+
+// The scene-clock scheduler, advanced by hand
+function fakeScheduler(){
+  const channels = new Map();
+  return {
+    channels,
+    schedule(name, opts){ channels.set(name, { onDue: opts.onDue, remaining: opts.delay() }); },
+    cancel(name){ channels.delete(name); },
+    advance(sec){ channels.forEach(c => { c.remaining -= sec; if(c.remaining <= 0) c.onDue(); }); }
+  };
+}
+function fakeVideo(){
+  return {
+    paused: true, ended: false, muted: false, currentTime: 0, plays: 0,
+    play(){ this.paused = false; this.plays++; return Promise.resolve(); },
+    pause(){ this.paused = true; },
+    addEventListener(){}, removeEventListener(){}
+  };
+}
+const panel = () => ({ dataset: {} });
+
+test('a clip is released when its hold runs out on the scheduler', () => {
+  const sch = fakeScheduler();
+  const released = [];
+  const ctl = createVideoController({ maxHoldSec: 5, scheduler: () => sch, onReleased: p => released.push(p) });
+  const p = panel();
+  ctl.start(p, fakeVideo());
+  assert.equal(ctl.isBusy(p), true);
+  sch.advance(4);
+  assert.equal(ctl.isBusy(p), true);
+  sch.advance(1);
+  assert.equal(ctl.isBusy(p), false);
+  assert.deepEqual(released, [p]);
+  assert.equal(sch.channels.size, 0);
+});
+
+test('pause stops the clips and resume plays them again; clips started while paused wait', () => {
+  const sch = fakeScheduler();
+  const ctl = createVideoController({ maxHoldSec: 5, scheduler: () => sch });
+  const a = fakeVideo();
+  ctl.start(panel(), a);
+  assert.equal(a.paused, false);
+  ctl.pause();
+  assert.equal(a.paused, true);
+  const b = fakeVideo();
+  ctl.start(panel(), b);
+  assert.equal(b.paused, true);
+  ctl.resume();
+  assert.equal(a.paused, false);
+  assert.equal(b.paused, false);
+  assert.equal(a.plays, 2);
+});